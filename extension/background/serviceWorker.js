@@ -0,0 +1,400 @@
+/**
+ * Udemy Superlearner - Background Service Worker
+ * Coordinates state between the popup and every open lecture tab
+ *
+ * - Rate changes in one tab are relayed to the others (unless the
+ *   "sync tabs" setting is off, which keeps tabs independent)
+ * - Config changes are broadcast to all lecture tabs
+ * - The popup talks to the active tab over a long-lived port and
+ *   receives live status updates
+ * - Bookmarks opened from the popup seek in place or navigate there
+ * - Sites enabled from the popup (optional host permissions) get the
+ *   content script registered at runtime
+ * - The toolbar badge shows each tab's rate; a context menu on lecture
+ *   pages offers the presets
+ * - Browser-level commands (chrome://extensions/shortcuts) are routed to
+ *   the lecture they're meant for
+ * - System idle/lock changes are relayed to lecture tabs for focus mode,
+ *   since content scripts can't use chrome.idle
+ */
+
+importScripts('../shared/storage.js', '../shared/keybindings.js', '../shared/presets.js', '../shared/settings.js', '../shared/sites.js');
+
+const SITE_SCRIPT_ID = 'superlearner-sites';
+const CONTEXT_MENU_ID = 'superlearner-speed';
+
+// Badge color by the profile level the rate comes from
+const BADGE_COLORS = {
+	lecture: '#B32D0F',
+	course: '#A435F0',
+	instructor: '#1E6055',
+	global: '#6A6F73'
+};
+
+onStorageError((event) => {
+	if (event.permanent) {
+		log(`Storage write dropped (${event.keys.join(', ')}):`, event.message);
+	} else if (!event.ok) {
+		log('Storage write failed, retrying:', event.message);
+	}
+});
+
+// Connected popup ports
+const popupPorts = new Set();
+
+function log(...args) {
+	console.log('⚡ Superlearner:', ...args);
+}
+
+function formatRate(rate) {
+	const rounded = Math.round(rate * 100) / 100;
+	return rounded % 0.1 === 0 ? rounded.toFixed(1) : rounded.toFixed(2);
+}
+
+// ============ Tab Helpers ============
+
+function getManifestPatterns() {
+	return chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+}
+
+/**
+ * Every URL pattern the content script runs on (Udemy plus enabled sites)
+ */
+async function getSitePatterns() {
+	const { origins = [] } = await chrome.permissions.getAll();
+	return [...new Set([...getManifestPatterns(), ...origins])];
+}
+
+async function getActiveSiteTab() {
+	const [tab] = await chrome.tabs.query({
+		active: true,
+		lastFocusedWindow: true,
+		url: await getSitePatterns()
+	});
+	return tab || null;
+}
+
+async function getSiteTabs() {
+	return chrome.tabs.query({ url: await getSitePatterns() });
+}
+
+/**
+ * Send to a tab, resolving to null if its content script isn't loaded
+ */
+async function sendToTab(tabId, message) {
+	try {
+		return await chrome.tabs.sendMessage(tabId, message);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * The lecture a browser shortcut is meant for: the one in view, otherwise
+ * the one playing (e.g. in another window), otherwise the last one used
+ */
+async function getCommandTab() {
+	const active = await getActiveSiteTab();
+	if (active) return active;
+
+	const tabs = await getSiteTabs();
+	return tabs.find(tab => tab.audible)
+		|| tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0]
+		|| null;
+}
+
+async function broadcast(message, { exceptTabId } = {}) {
+	const tabs = await getSiteTabs();
+	await Promise.all(tabs
+		.filter(tab => tab.id !== exceptTabId)
+		.map(tab => sendToTab(tab.id, message)));
+}
+
+async function getConfig() {
+	const settings = await loadSettings();
+	return settings.config;
+}
+
+/**
+ * Jump to a bookmark: seek in place if the active tab has that lecture,
+ * otherwise navigate and let the content script seek once it loads
+ */
+async function openBookmark({ lectureId, time, url }) {
+	const tab = await getActiveSiteTab();
+	if (tab) {
+		const response = await sendToTab(tab.id, { type: 'SEEK_TO', lectureId, time });
+		if (response?.success) return;
+	}
+
+	await storageSet({ udemy_pending_seek: { lectureId, time, at: Date.now() } });
+	if (tab) {
+		await chrome.tabs.update(tab.id, { url });
+	} else {
+		await chrome.tabs.create({ url });
+	}
+}
+
+// ============ Popup Ports ============
+
+function postToPopups(message) {
+	for (const port of popupPorts) {
+		port.postMessage(message);
+	}
+}
+
+/**
+ * Push the active tab's real status (or "no lecture") to a popup
+ */
+async function postStatus(port) {
+	const tab = await getActiveSiteTab();
+	const status = tab ? await sendToTab(tab.id, { type: 'GET_RATE' }) : null;
+	if (tab) updateBadge(tab.id, status);
+	port.postMessage({ type: 'STATUS', tabId: tab?.id ?? null, status });
+}
+
+async function handlePopupMessage(port, message) {
+	if (message.type === 'GET_STATUS') {
+		await postStatus(port);
+		return;
+	}
+
+	if (message.type === 'CONFIG_UPDATED') {
+		await broadcast({ type: 'CONFIG_UPDATED' });
+		return;
+	}
+
+	if (message.type === 'OPEN_BOOKMARK') {
+		await openBookmark(message);
+		return;
+	}
+
+	// Everything else is a command for the active lecture
+	const tab = await getActiveSiteTab();
+	if (tab) {
+		await sendToTab(tab.id, message);
+	} else if (message.type === 'SET_RATE') {
+		// No lecture open - update the global default
+		await storageSet({ udemy_playback_rate: message.rate });
+	}
+	await postStatus(port);
+}
+
+chrome.runtime.onConnect.addListener((port) => {
+	if (port.name !== 'popup') return;
+
+	popupPorts.add(port);
+	port.onMessage.addListener((message) => handlePopupMessage(port, message));
+	port.onDisconnect.addListener(() => popupPorts.delete(port));
+});
+
+// ============ Content Script Messages ============
+
+chrome.runtime.onMessage.addListener((message, sender) => {
+	// Saved from the options page
+	if (message.type === 'CONFIG_UPDATED') {
+		broadcast({ type: 'CONFIG_UPDATED' });
+		return;
+	}
+
+	const tabId = sender.tab?.id;
+	if (!tabId) return;
+
+	// A tab's effective rate changed - update its badge, and the popup if
+	// it's showing that tab
+	if (message.type === 'STATUS') {
+		updateBadge(tabId, message.status);
+		getActiveSiteTab().then(tab => {
+			if (tab?.id === tabId) {
+				postToPopups({ type: 'STATUS', tabId, status: message.status });
+			}
+		});
+	}
+
+	// The user saved a rate - relay it so other tabs re-resolve theirs
+	if (message.type === 'RATE_CHANGED') {
+		getConfig().then(config => {
+			if (config.syncTabs) {
+				broadcast({ type: 'SYNC_RATE', update: message.update }, { exceptTabId: tabId });
+			}
+		});
+	}
+});
+
+// ============ Browser Commands ============
+
+// Work wherever focus is - unlike the page's own keydown listener, which
+// misses keys while the Q&A panel, a notes field or another window has it
+chrome.commands.onCommand.addListener(async (command) => {
+	const tab = await getCommandTab();
+	if (!tab) return;
+
+	const response = await sendToTab(tab.id, { type: 'RUN_ACTION', action: command });
+	if (!response?.success) log(`Command ${command} not handled by tab ${tab.id}`);
+});
+
+// ============ Focus Mode ============
+
+/**
+ * The idle threshold is one value for the whole extension, so it follows
+ * the setting (re-applied whenever the worker starts or settings change)
+ */
+async function applyIdleInterval() {
+	const config = await getConfig();
+	chrome.idle.setDetectionInterval(config.focusIdleSeconds);
+}
+
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+	// 'active' always goes out, so a tab paused before the setting was
+	// turned off still resumes
+	const config = await getConfig();
+	if (config.focusPauseOnIdle || idleState === 'active') {
+		await broadcast({ type: 'IDLE_STATE', state: idleState });
+	}
+});
+
+applyIdleInterval();
+
+// ============ Action Badge ============
+
+/**
+ * Show a tab's rate on the toolbar icon, colored by where it comes from
+ */
+function updateBadge(tabId, status) {
+	if (!status) {
+		chrome.action.setBadgeText({ tabId, text: '' });
+		chrome.action.setTitle({ tabId, title: chrome.runtime.getManifest().action.default_title });
+		return;
+	}
+
+	const level = BADGE_COLORS[status.level] ? status.level : 'global';
+	chrome.action.setBadgeText({ tabId, text: formatRate(status.rate) });
+	chrome.action.setBadgeBackgroundColor({ tabId, color: BADGE_COLORS[level] });
+	chrome.action.setBadgeTextColor({ tabId, color: '#FFFFFF' });
+	chrome.action.setTitle({ tabId, title: `Udemy Superlearner - ${formatRate(status.rate)}x (${level} speed)` });
+}
+
+// ============ Context Menu ============
+
+let contextMenuBuild = Promise.resolve();
+
+/**
+ * Presets and "reset to default" on lecture pages
+ * Rebuilt when the presets or the enabled sites change
+ */
+async function buildContextMenu() {
+	const [{ config, presets }, documentUrlPatterns] = await Promise.all([loadSettings(), getSitePatterns()]);
+	const item = { contexts: ['page', 'video'], documentUrlPatterns };
+
+	await chrome.contextMenus.removeAll();
+	chrome.contextMenus.create({ ...item, id: CONTEXT_MENU_ID, title: 'Playback speed' });
+
+	presets.forEach(({ rate, label }, index) => {
+		chrome.contextMenus.create({
+			...item,
+			id: `${CONTEXT_MENU_ID}:preset:${index}`,
+			parentId: CONTEXT_MENU_ID,
+			title: label ? `${formatRate(rate)}x - ${label}` : `${formatRate(rate)}x`
+		});
+	});
+
+	chrome.contextMenus.create({ ...item, id: `${CONTEXT_MENU_ID}:separator`, parentId: CONTEXT_MENU_ID, type: 'separator' });
+	chrome.contextMenus.create({
+		...item,
+		id: `${CONTEXT_MENU_ID}:reset`,
+		parentId: CONTEXT_MENU_ID,
+		title: `Reset to default (${formatRate(config.defaultRate)}x)`
+	});
+}
+
+// Builds are chained so overlapping rebuilds don't create duplicate IDs
+function rebuildContextMenu() {
+	contextMenuBuild = contextMenuBuild
+		.then(buildContextMenu)
+		.catch(e => log('Context menu build failed:', e.message));
+	return contextMenuBuild;
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+	const [, action, index] = String(info.menuItemId).split(':');
+	if (!tab?.id || !action) return;
+
+	const { config, presets } = await loadSettings();
+	const rate = action === 'reset' ? config.defaultRate : presets[parseInt(index)]?.rate;
+	if (rate) await sendToTab(tab.id, { type: 'SET_RATE', rate });
+});
+
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (area === 'sync' && changes[SETTINGS_KEY]) {
+		rebuildContextMenu();
+		applyIdleInterval();
+	}
+});
+
+// ============ Optional Sites ============
+
+/**
+ * Register the content scripts for granted optional sites
+ * The manifest only covers Udemy; everything else is added at runtime,
+ * mirroring each manifest entry (the main script and the navigation hook)
+ */
+async function syncSiteScripts() {
+	const { origins = [] } = await chrome.permissions.getAll();
+	const builtIn = getManifestPatterns();
+	const matches = origins.filter(origin => !builtIn.includes(origin));
+
+	const registered = await chrome.scripting.getRegisteredContentScripts();
+	if (registered.length > 0) {
+		await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+	}
+	if (matches.length === 0) return;
+
+	const scripts = chrome.runtime.getManifest().content_scripts.map((script, index) => ({
+		id: `${SITE_SCRIPT_ID}-${index}`,
+		matches,
+		js: script.js,
+		...(script.css && { css: script.css }),
+		runAt: script.run_at || 'document_idle',
+		world: script.world || 'ISOLATED'
+	}));
+	await chrome.scripting.registerContentScripts(scripts);
+	log(`Content scripts registered for ${matches.join(', ')}`);
+}
+
+/**
+ * Start on tabs that were already open when their site was enabled
+ */
+async function injectIntoOpenTabs(origins) {
+	const scripts = chrome.runtime.getManifest().content_scripts;
+	const tabs = await chrome.tabs.query({ url: origins });
+
+	for (const tab of tabs) {
+		const target = { tabId: tab.id };
+		try {
+			for (const script of scripts) {
+				if (script.css) await chrome.scripting.insertCSS({ target, files: script.css });
+				await chrome.scripting.executeScript({ target, files: script.js, world: script.world || 'ISOLATED' });
+			}
+		} catch (e) {
+			log(`Couldn't start on tab ${tab.id}:`, e.message);
+		}
+	}
+}
+
+chrome.permissions.onAdded.addListener(async ({ origins = [] }) => {
+	await syncSiteScripts();
+	rebuildContextMenu();
+	if (origins.length > 0) await injectIntoOpenTabs(origins);
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+	syncSiteScripts();
+	rebuildContextMenu();
+});
+
+chrome.runtime.onInstalled.addListener(async ({ reason }) => {
+	// Loading runs any pending settings migration once, up front
+	await loadSettings();
+	await syncSiteScripts();
+	await rebuildContextMenu();
+	log(`Installed (${reason}), settings v${SETTINGS_VERSION}`);
+});
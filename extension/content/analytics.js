@@ -0,0 +1,156 @@
+/**
+ * Udemy Superlearner - Learning Analytics
+ * Logs watch sessions into chrome.storage.local with daily rollups
+ *
+ * A session runs from play to pause/end. Media seconds only count normal
+ * playback (seeks are ignored), so media - wall is the time saved.
+ */
+
+const ANALYTICS_FLUSH_MS = 30000;
+const ANALYTICS_MAX_SESSIONS = 500;
+const ANALYTICS_MAX_DAYS = 180;
+const ANALYTICS_MAX_STEP = 5; // larger media jumps are seeks
+
+const analytics = {
+	video: null,
+	session: null,
+	pending: null,
+	lastMediaTime: null,
+	lastWallTime: null,
+	flushTimer: null,
+	writing: Promise.resolve()
+};
+
+function getDateKey(date = new Date()) {
+	return date.toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+}
+
+// ============ Session Tracking ============
+
+function startSession(video) {
+	if (analytics.session) return;
+
+	const { lectureId, courseSlug } = parseLectureUrl();
+	analytics.session = {
+		id: `${Date.now()}-${lectureId || 'unknown'}`,
+		date: getDateKey(),
+		startedAt: Date.now(),
+		lectureId,
+		courseSlug,
+		mediaSeconds: 0,
+		wallSeconds: 0
+	};
+	analytics.pending = { mediaSeconds: 0, wallSeconds: 0 };
+	analytics.lastMediaTime = video.currentTime;
+	analytics.lastWallTime = performance.now();
+	analytics.flushTimer = setInterval(flushSession, ANALYTICS_FLUSH_MS);
+}
+
+/**
+ * Accumulate playback since the last timeupdate
+ */
+function recordProgress(video) {
+	if (!analytics.session) return;
+
+	const now = performance.now();
+	const mediaDelta = video.currentTime - analytics.lastMediaTime;
+	const wallDelta = (now - analytics.lastWallTime) / 1000;
+	analytics.lastMediaTime = video.currentTime;
+	analytics.lastWallTime = now;
+
+	if (mediaDelta <= 0 || mediaDelta > ANALYTICS_MAX_STEP) return;
+
+	analytics.pending.mediaSeconds += mediaDelta;
+	analytics.pending.wallSeconds += wallDelta;
+}
+
+function endSession() {
+	if (!analytics.session) return;
+
+	clearInterval(analytics.flushTimer);
+	flushSession();
+	analytics.session = null;
+	analytics.pending = null;
+}
+
+// ============ Storage ============
+
+/**
+ * Write pending seconds into the session log and the daily rollup
+ * Writes are chained so concurrent flushes don't overwrite each other
+ */
+function flushSession() {
+	const { session, pending } = analytics;
+	if (!session || pending.wallSeconds <= 0) return;
+
+	session.mediaSeconds += pending.mediaSeconds;
+	session.wallSeconds += pending.wallSeconds;
+	const delta = { ...pending };
+	const snapshot = { ...session, avgRate: session.mediaSeconds / session.wallSeconds };
+	analytics.pending = { mediaSeconds: 0, wallSeconds: 0 };
+
+	analytics.writing = analytics.writing.then(() => writeAnalytics(snapshot, delta));
+}
+
+async function writeAnalytics(session, delta) {
+	const data = await storageGet({ udemy_sessions: [], udemy_stats_daily: {} });
+
+	// Session log (newest last)
+	const sessions = data.udemy_sessions.filter(s => s.id !== session.id);
+	sessions.push(session);
+
+	// Daily rollup
+	const daily = data.udemy_stats_daily;
+	const day = daily[session.date] || { mediaSeconds: 0, wallSeconds: 0, courses: {} };
+	day.mediaSeconds += delta.mediaSeconds;
+	day.wallSeconds += delta.wallSeconds;
+
+	const courseKey = session.courseSlug || 'unknown';
+	const course = day.courses[courseKey] || { mediaSeconds: 0, wallSeconds: 0 };
+	course.mediaSeconds += delta.mediaSeconds;
+	course.wallSeconds += delta.wallSeconds;
+	day.courses[courseKey] = course;
+	daily[session.date] = day;
+
+	// Keep storage bounded
+	const days = Object.keys(daily).sort();
+	for (const old of days.slice(0, -ANALYTICS_MAX_DAYS)) {
+		delete daily[old];
+	}
+
+	await storageSet({
+		udemy_sessions: sessions.slice(-ANALYTICS_MAX_SESSIONS),
+		udemy_stats_daily: daily
+	});
+}
+
+// ============ Video Hooks ============
+
+/**
+ * Log watch sessions for a video (called from attachVideoListeners)
+ */
+function attachAnalytics(video) {
+	if (analytics.video && analytics.video !== video) {
+		endSession();
+	}
+	analytics.video = video;
+
+	const isCurrent = () => analytics.video === video;
+
+	video.addEventListener('play', () => isCurrent() && startSession(video));
+	video.addEventListener('timeupdate', () => isCurrent() && recordProgress(video));
+	video.addEventListener('pause', () => isCurrent() && endSession());
+	video.addEventListener('ended', () => isCurrent() && endSession());
+
+	if (!video.paused) startSession(video);
+}
+
+// A new lecture in the same player starts a new session
+onLectureChange(({ video }) => {
+	if (!analytics.session || video !== analytics.video) return;
+	endSession();
+	if (!video.paused) startSession(video);
+});
+
+// Don't lose the last partial flush when the tab closes or navigates
+window.addEventListener('pagehide', endSession);
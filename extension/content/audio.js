@@ -0,0 +1,126 @@
+/**
+ * Udemy Superlearner - Audio Controls
+ * Pitch preservation, volume boost and a voice-clarity filter for high speeds
+ *
+ * Saved per course like the rate, with a default for pages outside a course.
+ * The default syncs (udemy_audio: { global: { preservePitch, gain, clarity } }),
+ * the per-course map grows with every course so it stays in local storage
+ * (udemy_course_audio: { [courseSlug]: {...} }). Older versions kept the
+ * map in udemy_audio.course; it's moved on first load.
+ *
+ * Boost and clarity run through the shared Web Audio graph (audioGraph.js),
+ * which is only built once one of them is turned on.
+ */
+
+const AUDIO_KEY = 'udemy_audio';
+const COURSE_AUDIO_KEY = 'udemy_course_audio';
+const MAX_AUDIO_GAIN = 3;
+
+const DEFAULT_AUDIO = {
+	preservePitch: true,
+	gain: 1,
+	clarity: false
+};
+
+const audio = {
+	saved: { global: { ...DEFAULT_AUDIO }, course: {} },
+	settings: { ...DEFAULT_AUDIO },
+	level: 'global'
+};
+
+function normalizeAudio(settings = {}) {
+	const gain = parseFloat(settings.gain);
+	return {
+		preservePitch: settings.preservePitch !== false,
+		gain: Number.isFinite(gain) ? Math.max(1, Math.min(MAX_AUDIO_GAIN, Math.round(gain * 100) / 100)) : 1,
+		clarity: Boolean(settings.clarity)
+	};
+}
+
+// ============ Storage ============
+
+async function loadAudioSettings() {
+	const data = await storageGet({ [AUDIO_KEY]: {}, [COURSE_AUDIO_KEY]: null });
+	const legacyCourse = data[AUDIO_KEY].course;
+	audio.saved = {
+		global: normalizeAudio(data[AUDIO_KEY].global),
+		course: data[COURSE_AUDIO_KEY] || legacyCourse || {}
+	};
+
+	if (legacyCourse) {
+		if (!data[COURSE_AUDIO_KEY]) storageSet({ [COURSE_AUDIO_KEY]: legacyCourse });
+		storageSet({ [AUDIO_KEY]: { global: audio.saved.global } });
+	}
+}
+
+/**
+ * The course's settings, or the default when it has none
+ */
+function resolveAudioSettings(context = state.context) {
+	const course = context.courseSlug && audio.saved.course[context.courseSlug];
+	return course
+		? { settings: normalizeAudio(course), level: 'course' }
+		: { settings: audio.saved.global, level: 'global' };
+}
+
+/**
+ * Save changes for the current course (the default outside a course)
+ */
+async function updateAudioSettings(changes) {
+	await loadAudioSettings();
+	const settings = normalizeAudio({ ...audio.settings, ...changes });
+	const { courseSlug } = state.context;
+
+	if (courseSlug) {
+		audio.saved.course = { ...audio.saved.course, [courseSlug]: settings };
+	} else {
+		audio.saved.global = settings;
+	}
+	refreshAudio();
+	await storageSet(courseSlug
+		? { [COURSE_AUDIO_KEY]: audio.saved.course }
+		: { [AUDIO_KEY]: { global: settings } });
+	log(`Audio: pitch ${settings.preservePitch ? 'kept' : 'free'}, volume ${Math.round(settings.gain * 100)}%, clarity ${settings.clarity ? 'on' : 'off'}`);
+}
+
+// ============ Playback ============
+
+function applyAudioSettings(video, settings) {
+	video.preservesPitch = settings.preservePitch;
+
+	// Leave the audio untouched until boost or clarity is first needed
+	const needsGraph = settings.gain !== 1 || settings.clarity;
+	if (!needsGraph && !audioGraphs.has(video)) return;
+
+	const graph = getAudioGraph(video);
+	if (graph) setAudioOutput(graph, settings);
+}
+
+/**
+ * Re-resolve for the current lecture and apply to the current video
+ * Called whenever the stored rate is (re)applied, so lecture and course
+ * changes in the same player are picked up
+ */
+function refreshAudio(video = state.currentVideo) {
+	const { settings, level } = resolveAudioSettings();
+	audio.settings = settings;
+	audio.level = level;
+	if (video) applyAudioSettings(video, settings);
+}
+
+function getAudioStatus() {
+	return { ...audio.settings, level: audio.level };
+}
+
+/**
+ * Called from attachVideoListeners - the graph and pitch flag belong to
+ * the element, so a swapped-in video gets them applied again
+ */
+function attachAudio(video) {
+	loadAudioSettings().then(() => refreshAudio(video));
+}
+
+// Settings changed in another tab
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (changes[area === 'sync' ? AUDIO_KEY : COURSE_AUDIO_KEY]) loadAudioSettings().then(() => refreshAudio());
+});
@@ -0,0 +1,105 @@
+/**
+ * Udemy Superlearner - Audio Graph
+ * Routes a video's audio through Web Audio, once per element
+ *
+ * createMediaElementSource can only be called once per element, so every
+ * audio feature shares the graph built here. Udemy streams through Media
+ * Source Extensions (same-origin blob URLs), so the samples are readable.
+ *
+ * The analyser taps the signal before the output stage, so silence
+ * detection isn't affected by the volume boost or the clarity filters.
+ */
+
+const audioGraphs = new WeakMap();
+
+/**
+ * Get (or build) the audio graph for a video
+ * source → analyser → [highpass → presence → compressor] → gain → destination
+ * The bracketed clarity chain is only routed in when enabled
+ */
+function getAudioGraph(video) {
+	if (audioGraphs.has(video)) return audioGraphs.get(video);
+
+	try {
+		const context = new AudioContext();
+		const source = context.createMediaElementSource(video);
+		const analyser = context.createAnalyser();
+		analyser.fftSize = 2048;
+
+		// Voice clarity: cut rumble, lift speech presence, even out loudness
+		const highpass = context.createBiquadFilter();
+		highpass.type = 'highpass';
+		highpass.frequency.value = 100;
+
+		const presence = context.createBiquadFilter();
+		presence.type = 'peaking';
+		presence.frequency.value = 3000;
+		presence.Q.value = 1;
+		presence.gain.value = 4;
+
+		const compressor = context.createDynamicsCompressor();
+		compressor.threshold.value = -30;
+		compressor.knee.value = 12;
+		compressor.ratio.value = 4;
+		compressor.attack.value = 0.005;
+		compressor.release.value = 0.2;
+
+		const gain = context.createGain();
+
+		source.connect(analyser);
+		analyser.connect(gain);
+		highpass.connect(presence);
+		presence.connect(compressor);
+		compressor.connect(gain);
+		gain.connect(context.destination);
+
+		// Autoplay policy may start the context suspended
+		video.addEventListener('play', () => {
+			if (context.state === 'suspended') context.resume();
+		});
+		if (context.state === 'suspended' && !video.paused) context.resume();
+
+		const graph = {
+			context,
+			source,
+			analyser,
+			highpass,
+			gain,
+			clarity: false,
+			samples: new Float32Array(analyser.fftSize)
+		};
+		audioGraphs.set(video, graph);
+		log('Audio graph attached');
+		return graph;
+	} catch (e) {
+		log('Could not attach audio graph:', e);
+		audioGraphs.set(video, null);
+		return null;
+	}
+}
+
+/**
+ * Set the output stage: volume (1 = 100%) and whether the clarity chain is used
+ */
+function setAudioOutput(graph, { gain, clarity }) {
+	graph.gain.gain.value = gain;
+	if (graph.clarity === clarity) return;
+
+	graph.analyser.disconnect();
+	graph.analyser.connect(clarity ? graph.highpass : graph.gain);
+	graph.clarity = clarity;
+}
+
+/**
+ * Current loudness in dBFS (-Infinity for digital silence)
+ */
+function measureLevel(graph) {
+	graph.analyser.getFloatTimeDomainData(graph.samples);
+
+	let sum = 0;
+	for (const sample of graph.samples) {
+		sum += sample * sample;
+	}
+	const rms = Math.sqrt(sum / graph.samples.length);
+	return 20 * Math.log10(rms);
+}
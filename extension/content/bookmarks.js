@@ -0,0 +1,147 @@
+/**
+ * Udemy Superlearner - Bookmarks (capture)
+ * Flags the current moment of a lecture with an optional note
+ *
+ * The note form sits inside the player so it works in fullscreen.
+ * Opening a bookmark from the popup either seeks this tab directly or,
+ * for another lecture, leaves a pending seek that's applied once the
+ * lecture's video loads. Storage helpers live in shared/bookmarks.js.
+ */
+
+const PENDING_SEEK_KEY = 'udemy_pending_seek';
+const PENDING_SEEK_MAX_AGE_MS = 60000;
+
+const bookmarkForm = {
+	element: null,
+	time: 0
+};
+
+// ============ Capture ============
+
+async function saveCurrentBookmark(time, note) {
+	const { courseSlug, lectureId } = state.context;
+	if (!courseSlug || !lectureId) {
+		log('Not on a lecture - bookmark not saved');
+		return;
+	}
+
+	await addBookmark({
+		courseSlug,
+		courseTitle: detectCourseTitle(),
+		origin: location.origin,
+		lectureId,
+		lectureTitle: detectLectureTitle(),
+		url: location.origin + location.pathname,
+		time,
+		note
+	});
+
+	showToast(`🔖 ${formatTimestamp(time)}`, note || 'Bookmarked');
+	log(`Bookmarked ${lectureId} at ${formatTimestamp(time)}`);
+}
+
+function createBookmarkForm() {
+	const form = document.createElement('form');
+	form.className = 'superlearner-bookmark';
+
+	const label = document.createElement('span');
+	label.className = 'sl-bookmark-time';
+
+	const input = document.createElement('input');
+	input.type = 'text';
+	input.className = 'sl-bookmark-note';
+	input.placeholder = 'Note (optional) - Enter to save, Esc to cancel';
+	input.maxLength = 500;
+	input.setAttribute('aria-label', 'Bookmark note');
+
+	form.append(label, input);
+
+	form.addEventListener('submit', (event) => {
+		event.preventDefault();
+		saveCurrentBookmark(bookmarkForm.time, input.value.trim());
+		closeBookmarkForm();
+	});
+
+	// Keep typing away from the player's shortcuts
+	form.addEventListener('keydown', (event) => {
+		event.stopPropagation();
+		if (event.key === 'Escape') closeBookmarkForm();
+	});
+	form.addEventListener('pointerup', (event) => event.stopPropagation());
+
+	return form;
+}
+
+/**
+ * Capture the current time and ask for an optional note
+ */
+function openBookmarkForm() {
+	const video = state.currentVideo || findVideoElement();
+	if (!video) return;
+
+	bookmarkForm.time = video.currentTime;
+	bookmarkForm.element ??= createBookmarkForm();
+
+	const { element } = bookmarkForm;
+	element.querySelector('.sl-bookmark-time').textContent = `🔖 ${formatTimestamp(bookmarkForm.time)}`;
+	element.querySelector('.sl-bookmark-note').value = '';
+	getPlayerContainer(video).appendChild(element);
+	element.querySelector('.sl-bookmark-note').focus();
+}
+
+function closeBookmarkForm() {
+	bookmarkForm.element?.remove();
+}
+
+// ============ Navigation ============
+
+/**
+ * Seek to a bookmark if it's in this tab's lecture
+ * Returns false so the caller can navigate there instead
+ */
+function seekToBookmark({ lectureId, time }) {
+	const video = state.currentVideo || findVideoElement();
+	if (!video || String(state.context.lectureId) !== String(lectureId)) return false;
+
+	video.currentTime = time;
+	log(`Jumped to bookmark at ${formatTimestamp(time)}`);
+	return true;
+}
+
+/**
+ * Apply a seek left by the service worker before it navigated here
+ */
+async function applyPendingSeek(video) {
+	const data = await storageGet([PENDING_SEEK_KEY]);
+	const pending = data[PENDING_SEEK_KEY];
+	if (!pending) return;
+
+	if (Date.now() - pending.at > PENDING_SEEK_MAX_AGE_MS) {
+		storageRemove(PENDING_SEEK_KEY);
+		return;
+	}
+	if (String(pending.lectureId) !== String(parseLectureUrl().lectureId)) return;
+
+	storageRemove(PENDING_SEEK_KEY);
+	const seek = () => {
+		video.currentTime = pending.time;
+		log(`Jumped to bookmark at ${formatTimestamp(pending.time)}`);
+	};
+
+	if (video.readyState >= 1) {
+		seek();
+	} else {
+		video.addEventListener('loadedmetadata', seek, { once: true });
+	}
+}
+
+// A form left open belongs to the previous lecture
+onLectureChange(closeBookmarkForm);
+
+/**
+ * Called from attachVideoListeners
+ */
+function attachBookmarks(video) {
+	closeBookmarkForm();
+	applyPendingSeek(video);
+}
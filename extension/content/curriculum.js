@@ -0,0 +1,176 @@
+/**
+ * Udemy Superlearner - Curriculum Time Left
+ * Labels the curriculum sidebar with time left at your speed: each lecture,
+ * each section, the course, and the rest of the current lecture
+ *
+ * Sidebar markup comes from the site adapter (findCurriculum /
+ * getCurriculumSections). Collapsed sections don't render their lectures,
+ * so their time left is estimated from the section header ("~").
+ *
+ * Labels refresh when the rate changes, every few seconds of playback, and
+ * when the site re-renders the sidebar (observer scoped to the sidebar).
+ */
+
+const CURRICULUM_REFRESH_MS = 5000;
+const CURRICULUM_DEBOUNCE_MS = 200;
+const ETA_CLASS = 'superlearner-eta';
+
+const curriculum = {
+	root: null,
+	observer: null,
+	timeout: null,
+	lastRenderAt: 0
+};
+
+function formatEta(seconds) {
+	const total = Math.round(seconds);
+	const h = Math.floor(total / 3600);
+	const m = Math.floor((total % 3600) / 60);
+	if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+	if (m > 0) return `${m}m`;
+	return `${total}s`;
+}
+
+/**
+ * The rate for the current lecture and for the rest of the course
+ * A lecture-only pin doesn't apply to the other lectures, so they use
+ * the course's rate (or instructor / global default)
+ */
+function getCurriculumRates(video) {
+	const current = video ? getUserRate(video) : resolveRate().rate;
+	const others = state.rateLevel === 'lecture'
+		? resolveRate({ ...state.context, lectureId: null }).rate
+		: current;
+	return { current, others };
+}
+
+// ============ Rendering ============
+
+/**
+ * Set the label after an anchor, reusing it so re-renders don't churn
+ */
+function setEtaLabel(anchor, text) {
+	let label = anchor.nextElementSibling;
+	if (!label?.classList.contains(ETA_CLASS)) {
+		label = document.createElement('span');
+		label.className = ETA_CLASS;
+		anchor.after(label);
+	}
+	if (label.textContent !== text) label.textContent = text;
+}
+
+function renderCurriculum() {
+	curriculum.lastRenderAt = Date.now();
+
+	const adapter = getSiteAdapter();
+	const root = adapter?.findCurriculum?.() || null;
+	watchCurriculum(root);
+	if (!root) return;
+
+	const video = state.currentVideo;
+	const rates = getCurriculumRates(video);
+	let courseLeft = 0;
+	let lectureLeft = null;
+	let estimated = false;
+
+	for (const section of adapter.getCurriculumSections(root)) {
+		let sectionLeft = 0;
+
+		for (const item of section.items) {
+			const rate = item.current ? rates.current : rates.others;
+			let left = item.duration / rate;
+			if (item.current && video && Number.isFinite(video.duration)) {
+				left = Math.max(0, video.duration - video.currentTime) / rate;
+				lectureLeft = left;
+			}
+
+			setEtaLabel(item.anchor, item.current ? `⚡ ${formatTimestamp(left)} left` : `⚡ ${formatEta(left)}`);
+			if (!item.completed || item.current) sectionLeft += left;
+		}
+
+		// Collapsed: scale the section total by its unfinished lectures
+		const { summary } = section;
+		const collapsed = section.items.length === 0 && summary?.total > 0;
+		if (collapsed) {
+			sectionLeft = summary.duration * (summary.total - summary.done) / summary.total / rates.others;
+			estimated = true;
+		}
+
+		if (section.anchor && (section.items.length > 0 || collapsed)) {
+			setEtaLabel(section.anchor, `⚡ ${collapsed ? '~' : ''}${formatEta(sectionLeft)} left`);
+		}
+		courseLeft += sectionLeft;
+	}
+
+	const lecture = lectureLeft === null ? '' : ` · ${formatTimestamp(lectureLeft)} left in this lecture`;
+	const summary = `⚡ ${estimated ? '~' : ''}${formatEta(courseLeft)} left in course at ${formatRate(rates.others)}x${lecture}`;
+	const first = root.firstElementChild;
+	if (first?.classList.contains(`${ETA_CLASS}-summary`)) {
+		if (first.textContent !== summary) first.textContent = summary;
+	} else {
+		const element = document.createElement('div');
+		element.className = `${ETA_CLASS}-summary`;
+		element.textContent = summary;
+		root.prepend(element);
+	}
+}
+
+function scheduleCurriculumRender() {
+	if (curriculum.timeout) return;
+	curriculum.timeout = setTimeout(() => {
+		curriculum.timeout = null;
+		renderCurriculum();
+	}, CURRICULUM_DEBOUNCE_MS);
+}
+
+// ============ Sidebar Tracking ============
+
+const ETA_SELECTOR = `.${ETA_CLASS}, .${ETA_CLASS}-summary`;
+
+/**
+ * Our own label updates shouldn't trigger another render
+ */
+function isOwnMutation(mutation) {
+	if (mutation.target.closest?.(ETA_SELECTOR)) return true;
+	const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+	return nodes.length > 0 && nodes.every(node => node.matches?.(ETA_SELECTOR));
+}
+
+/**
+ * Follow the sidebar as the site expands, collapses and re-renders it
+ */
+function watchCurriculum(root) {
+	if (root === curriculum.root) return;
+
+	curriculum.observer?.disconnect();
+	curriculum.observer = null;
+	curriculum.root = root;
+	if (!root) return;
+
+	curriculum.observer = new MutationObserver((mutations) => {
+		if (!mutations.every(isOwnMutation)) scheduleCurriculumRender();
+	});
+	curriculum.observer.observe(root, { childList: true, subtree: true });
+
+	// Completion checkboxes change a property, not the DOM
+	root.addEventListener('change', scheduleCurriculumRender);
+}
+
+/**
+ * Called from attachVideoListeners
+ */
+function attachCurriculum(video) {
+	video.addEventListener('ratechange', scheduleCurriculumRender);
+	video.addEventListener('loadedmetadata', scheduleCurriculumRender);
+	video.addEventListener('timeupdate', () => {
+		if (Date.now() - curriculum.lastRenderAt >= CURRICULUM_REFRESH_MS) renderCurriculum();
+	});
+	scheduleCurriculumRender();
+}
+
+onLectureChange(scheduleCurriculumRender);
+
+// The sidebar may be opened while the video is paused
+document.addEventListener('click', () => {
+	if (!curriculum.root?.isConnected) scheduleCurriculumRender();
+}, true);
@@ -0,0 +1,130 @@
+/**
+ * Udemy Superlearner - Focus Mode
+ * Pauses the lecture while you're away and resumes it when you're back,
+ * optionally rewinding a few seconds so you pick the thread up again
+ *
+ * Triggers (each opt-in on the options page):
+ * - hidden: the tab is switched away from or the window is minimized
+ * - blur: another window (e.g. your IDE) has focus
+ * - idle: no input anywhere for a while, or the screen is locked. Only the
+ *   service worker can see this (chrome.idle), so it sends IDLE_STATE.
+ *
+ * Only a video that was playing, and that focus mode paused itself, is
+ * resumed - and only once every trigger that paused it has cleared.
+ */
+
+const FOCUS_REASONS = {
+	hidden: { setting: 'focusPauseOnHidden', label: 'tab hidden' },
+	blur: { setting: 'focusPauseOnBlur', label: 'window lost focus' },
+	idle: { setting: 'focusPauseOnIdle', label: 'system idle' }
+};
+
+const FOCUS_TOAST_MS = 3000;
+
+const focusMode = {
+	away: new Set(),
+	video: null,
+	reason: null,
+	rewinding: null // video seeking back on resume
+};
+
+/**
+ * Whether a seek is the resume rewind, not the user going back
+ */
+function isFocusRewind(video) {
+	return focusMode.rewinding === video;
+}
+
+/**
+ * Forget the paused video, e.g. because the user played it themselves
+ */
+function releaseFocusPause() {
+	focusMode.video = null;
+	focusMode.reason = null;
+}
+
+function enterAway(reason) {
+	if (!state.config[FOCUS_REASONS[reason].setting]) return;
+	focusMode.away.add(reason);
+	if (focusMode.video) return;
+
+	const video = state.currentVideo || findVideoElement();
+	if (!video || video.paused || video.ended) return;
+
+	// Picture-in-picture is meant to keep playing outside the tab
+	if (document.pictureInPictureElement === video) return;
+
+	focusMode.video = video;
+	focusMode.reason = reason;
+	video.pause();
+
+	showToast('Paused', FOCUS_REASONS[reason].label, '⏸', FOCUS_TOAST_MS);
+	log(`Focus mode paused (${FOCUS_REASONS[reason].label})`);
+}
+
+function leaveAway(reason) {
+	focusMode.away.delete(reason);
+	if (focusMode.away.size > 0 || !focusMode.video) return;
+
+	const { video } = focusMode;
+	const label = FOCUS_REASONS[focusMode.reason].label;
+	releaseFocusPause();
+	if (!video.isConnected || !video.paused) return;
+
+	const rewind = Math.min(state.config.focusRewindSeconds, video.currentTime);
+	if (rewind > 0) {
+		focusMode.rewinding = video;
+		video.addEventListener('seeked', () => {
+			focusMode.rewinding = null;
+		}, { once: true });
+		video.currentTime -= rewind;
+	}
+	video.play().catch(e => log('Resume blocked:', e.message));
+
+	const detail = rewind > 0 ? `${label} · rewound ${Math.round(rewind)}s` : label;
+	showToast('Resumed', detail, '▶', FOCUS_TOAST_MS);
+	log(`Focus mode resumed (${detail})`);
+}
+
+/**
+ * Called from attachVideoListeners
+ */
+function attachFocusMode(video) {
+	if (focusMode.video && focusMode.video !== video) releaseFocusPause();
+
+	// Played while we held it (media keys, the popup) - it's the user's again
+	video.addEventListener('play', () => {
+		if (focusMode.video === video) releaseFocusPause();
+	});
+}
+
+/**
+ * Idle state relayed by the service worker ('active', 'idle' or 'locked')
+ */
+function handleIdleState(idleState) {
+	if (idleState === 'active') {
+		leaveAway('idle');
+	} else {
+		enterAway('idle');
+	}
+}
+
+document.addEventListener('visibilitychange', () => {
+	if (document.hidden) {
+		enterAway('hidden');
+	} else {
+		leaveAway('hidden');
+	}
+});
+
+// Clicking into an iframe on the page also blurs the window, but the
+// document keeps focus then - wait a tick and check
+window.addEventListener('blur', () => {
+	setTimeout(() => {
+		if (!document.hasFocus()) enterAway('blur');
+	}, 0);
+});
+window.addEventListener('focus', () => leaveAway('blur'));
+
+// Never resume into a different lecture
+onLectureChange(releaseFocusPause);
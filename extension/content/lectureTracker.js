@@ -0,0 +1,161 @@
+/**
+ * Udemy Superlearner - Lecture Tracker
+ * Finds the lecture video and notices lecture changes without watching
+ * the whole page
+ *
+ * - Lecture changes come from SPA navigation: history.pushState/replaceState
+ *   (announced by navigationHook.js from the page's own world) and popstate
+ * - Video swaps are caught by an observer scoped to the player
+ * - The page-wide observer only runs while there's no video yet, and for a
+ *   few seconds after a navigation while the site swaps its player
+ * - Observers are disconnected while the tab is hidden and catch up when
+ *   it's shown again
+ *
+ * Features subscribe with onVideoAttached(video => …) and
+ * onLectureChange(({ video, courseSlug, lectureId }) => …).
+ */
+
+const NAVIGATE_EVENT = 'superlearner:navigate';
+const TRACKER_DEBOUNCE_MS = 150;
+const NAVIGATION_SETTLE_MS = 5000;
+
+const tracker = {
+	video: null,
+	lectureKey: null,
+	playerObserver: null,
+	pageObserver: null,
+	scanTimeout: null,
+	settleTimeout: null,
+	settleUntil: 0,
+	listeners: { video: [], lecture: [] },
+	started: false
+};
+
+// ============ Subscriptions ============
+
+function onVideoAttached(callback) {
+	tracker.listeners.video.push(callback);
+}
+
+function onLectureChange(callback) {
+	tracker.listeners.lecture.push(callback);
+}
+
+function emitTrackerEvent(type, payload) {
+	for (const callback of tracker.listeners[type]) {
+		try {
+			callback(payload);
+		} catch (e) {
+			log(`Lecture tracker ${type} listener failed:`, e);
+		}
+	}
+}
+
+// ============ Observers ============
+
+function scheduleScan() {
+	if (tracker.scanTimeout) return;
+	tracker.scanTimeout = setTimeout(() => {
+		tracker.scanTimeout = null;
+		scanForVideo();
+	}, TRACKER_DEBOUNCE_MS);
+}
+
+/**
+ * Watch the player and its parent, which also catches the site replacing
+ * the whole player element
+ */
+function watchPlayer(video) {
+	tracker.playerObserver?.disconnect();
+	tracker.playerObserver = null;
+	if (document.hidden) return;
+
+	const player = getPlayerContainer(video);
+	tracker.playerObserver = new MutationObserver(scheduleScan);
+	tracker.playerObserver.observe(player.parentElement || player, { childList: true, subtree: true });
+}
+
+function watchPage() {
+	if (tracker.pageObserver || document.hidden) return;
+	tracker.pageObserver = new MutationObserver(scheduleScan);
+	tracker.pageObserver.observe(document.body, { childList: true, subtree: true });
+}
+
+function stopWatchingPage() {
+	tracker.pageObserver?.disconnect();
+	tracker.pageObserver = null;
+}
+
+// ============ Detection ============
+
+/**
+ * Look for the lecture video and announce it if it's a new element
+ */
+function scanForVideo() {
+	const video = findVideoElement();
+	const settling = Date.now() < tracker.settleUntil;
+
+	if (video && !settling) {
+		stopWatchingPage();
+	} else if (getSiteAdapter()) {
+		watchPage();
+	} else {
+		// Not a lecture page (e.g. the LinkedIn feed) - wait for navigation
+		stopWatchingPage();
+	}
+
+	if (!video || video === tracker.video) return;
+
+	tracker.video = video;
+	watchPlayer(video);
+	emitTrackerEvent('video', video);
+}
+
+function getLectureKey() {
+	const { courseSlug, lectureId } = parseLectureUrl();
+	return `${courseSlug}/${lectureId}`;
+}
+
+function handleNavigation() {
+	const key = getLectureKey();
+	if (key === tracker.lectureKey) return;
+	tracker.lectureKey = key;
+
+	// Give the site a moment to swap its player, then settle on the video
+	tracker.settleUntil = Date.now() + NAVIGATION_SETTLE_MS;
+	clearTimeout(tracker.settleTimeout);
+	tracker.settleTimeout = setTimeout(scanForVideo, NAVIGATION_SETTLE_MS);
+
+	scanForVideo();
+	emitTrackerEvent('lecture', { video: tracker.video, ...parseLectureUrl() });
+}
+
+function handleVisibilityChange() {
+	if (document.hidden) {
+		tracker.playerObserver?.disconnect();
+		tracker.playerObserver = null;
+		stopWatchingPage();
+		clearTimeout(tracker.scanTimeout);
+		tracker.scanTimeout = null;
+		return;
+	}
+
+	handleNavigation();
+	scanForVideo();
+	if (tracker.video?.isConnected) watchPlayer(tracker.video);
+}
+
+/**
+ * Start tracking (once); subscribers added later still get future events
+ */
+function startLectureTracking() {
+	if (tracker.started) return;
+	tracker.started = true;
+	tracker.lectureKey = getLectureKey();
+
+	window.addEventListener(NAVIGATE_EVENT, handleNavigation);
+	window.addEventListener('popstate', handleNavigation);
+	document.addEventListener('visibilitychange', handleVisibilityChange);
+
+	scanForVideo();
+}
@@ -0,0 +1,141 @@
+/**
+ * Udemy Superlearner - Native Rate Menu
+ * Fills Udemy's own playback-rate menu with the fine-step speeds and
+ * custom presets, so the native player UI can be used directly
+ *
+ * Rates picked here go through setPlaybackRate like any other change.
+ */
+
+const RATE_BUTTON_SELECTOR = '[data-purpose="playback-rate-button"]';
+const MAX_MENU_ITEMS = 100;
+const MENU_FIND_ATTEMPTS = 10;
+
+/**
+ * Every fine step between min and max, plus the presets
+ * Falls back to 0.05x steps if the fine increment would make the menu huge
+ */
+function getMenuRates() {
+	const { minRate, maxRate, fineIncrement } = state.config;
+	const span = maxRate - minRate;
+	const step = span / fineIncrement > MAX_MENU_ITEMS ? Math.max(0.05, fineIncrement) : fineIncrement;
+
+	const rates = new Set();
+	for (let i = 0; minRate + i * step <= maxRate + 0.001; i++) {
+		rates.add(Math.round((minRate + i * step) * 100) / 100);
+	}
+	for (const preset of state.customPresets) {
+		rates.add(preset.rate);
+	}
+
+	return [...rates].sort((a, b) => a - b);
+}
+
+/**
+ * Find the menu list that belongs to the rate button
+ * Uses data-purpose/ARIA first, then looks around the button
+ */
+function findRateMenu(button) {
+	let menu = document.querySelector('[data-purpose="playback-rate-menu"]');
+
+	const controls = button.getAttribute('aria-controls');
+	if (!menu && controls) {
+		menu = document.getElementById(controls);
+	}
+
+	let container = button.parentElement;
+	for (let depth = 0; !menu && container && depth < 4; depth++) {
+		menu = container.querySelector('ul[role="menu"]');
+		container = container.parentElement;
+	}
+
+	if (!menu) return null;
+	return menu.matches('ul') ? menu : menu.querySelector('ul');
+}
+
+function createMenuItem(rate, currentRate) {
+	const presetIndex = state.customPresets.findIndex(p => Math.abs(p.rate - rate) < 0.001);
+	const preset = state.customPresets[presetIndex];
+	const isActive = Math.abs(rate - currentRate) < 0.001;
+
+	const item = document.createElement('li');
+	item.className = 'superlearner-menu-item';
+	item.setAttribute('role', 'menuitemradio');
+	item.setAttribute('aria-checked', String(isActive));
+	item.tabIndex = -1;
+	item.dataset.rate = rate;
+	item.classList.toggle('active', isActive);
+
+	if (preset) {
+		item.classList.add('preset');
+		if (preset.label) item.title = preset.label;
+		const shortcut = formatPresetChord(state.keybindings, presetIndex);
+		if (shortcut) item.dataset.shortcut = shortcut;
+	}
+
+	const label = document.createElement('span');
+	label.className = 'superlearner-rate';
+	label.textContent = `${formatRate(rate)}x`;
+	item.append(label);
+
+	return item;
+}
+
+/**
+ * Hide Udemy's own entries and add ours
+ */
+function injectMenuItems(menu, button) {
+	const video = state.currentVideo || findVideoElement();
+	const currentRate = video ? getUserRate(video) : state.globalRate;
+
+	menu.classList.add('superlearner-speed-menu');
+	menu.querySelectorAll('.superlearner-menu-item').forEach(item => item.remove());
+	for (const child of menu.children) {
+		child.hidden = true;
+	}
+
+	const items = getMenuRates().map(rate => createMenuItem(rate, currentRate));
+	menu.append(...items);
+	menu.querySelector('.superlearner-menu-item.active')?.scrollIntoView({ block: 'center' });
+
+	if (menu._superlearnerHandled) return;
+	menu._superlearnerHandled = true;
+
+	menu.addEventListener('click', (event) => {
+		const item = event.target.closest('.superlearner-menu-item');
+		if (!item) return;
+
+		event.preventDefault();
+		event.stopPropagation();
+		setPlaybackRate(parseFloat(item.dataset.rate));
+		closeRateMenu(button);
+	}, true);
+}
+
+function closeRateMenu(button) {
+	if (button.getAttribute('aria-expanded') === 'true') {
+		button.click();
+	} else {
+		document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', code: 'Escape', bubbles: true }));
+	}
+}
+
+/**
+ * The menu renders after the click, so look for it over a few frames
+ */
+function waitForRateMenu(button, attempt = 0) {
+	const menu = findRateMenu(button);
+	if (menu) {
+		injectMenuItems(menu, button);
+	} else if (attempt < MENU_FIND_ATTEMPTS) {
+		requestAnimationFrame(() => waitForRateMenu(button, attempt + 1));
+	}
+}
+
+function setupNativeRateMenu() {
+	document.addEventListener('click', (event) => {
+		const button = event.target.closest?.(RATE_BUTTON_SELECTOR);
+		if (button && event.isTrusted) {
+			requestAnimationFrame(() => waitForRateMenu(button));
+		}
+	}, true);
+}
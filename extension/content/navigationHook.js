@@ -0,0 +1,20 @@
+/**
+ * Udemy Superlearner - Navigation Hook
+ * Runs in the page's own JavaScript world (see manifest.json) so it sees
+ * the site's history.pushState/replaceState calls, which the isolated
+ * content script can't. Announces them with a window event that
+ * lectureTracker.js listens for.
+ *
+ * Wrapped in a function so nothing leaks into the page's globals.
+ */
+
+(() => {
+	for (const method of ['pushState', 'replaceState']) {
+		const original = history[method];
+		history[method] = function (...args) {
+			const result = original.apply(this, args);
+			window.dispatchEvent(new Event('superlearner:navigate'));
+			return result;
+		};
+	}
+})();
@@ -2,52 +2,59 @@
  * Udemy Superlearner - Content Script
  * Provides granular playback speed controls for Udemy videos
  * 
- * Uses stable selectors that don't rely on hash-based class names
+ * Page specifics (video, lecture identity, rate display) come from the
+ * site adapters in content/sites/
  */
 
-const DEFAULT_CONFIG = {
-	minRate: 0.5,
-	maxRate: 3.0,
-	fineIncrement: 0.05,
-	coarseIncrement: 0.25,
-	defaultRate: 1.0,
-	decimals: 2
-};
-
 const state = {
 	currentVideo: null,
 	keyListenerAdded: false,
+	keybindings: { ...DEFAULT_KEYBINDINGS },
+	keyMap: buildKeyMap(DEFAULT_KEYBINDINGS),
+	lastRate: null,
+	manualRateAt: 0,
+	rateGestureAt: 0,
+	lastStatus: null,
 	config: { ...DEFAULT_CONFIG },
-	customPresets: [0.75, 1.0, 1.25, 1.5, 1.75, 2.0],
+	customPresets: DEFAULT_PRESETS,
+	context: { courseSlug: null, lectureId: null, instructor: null },
+	profiles: { lecture: {}, course: {}, instructor: {} },
+	globalRate: DEFAULT_CONFIG.defaultRate,
+	rateLevel: 'global',
 	initialized: false
 };
 
 // ============ Storage Functions ============
 
+/**
+ * Load validated settings (see shared/settings.js)
+ */
 async function loadConfig() {
-	return new Promise((resolve) => {
-		chrome.storage.sync.get({
-			udemy_config: DEFAULT_CONFIG,
-			udemy_presets: state.customPresets,
-			udemy_playback_rate: 1.0
-		}, (data) => {
-			state.config = { ...DEFAULT_CONFIG, ...data.udemy_config };
-			state.customPresets = data.udemy_presets;
-			resolve(data);
-		});
-	});
+	const settings = await loadSettings();
+	state.config = settings.config;
+	state.customPresets = settings.presets;
+	state.keybindings = settings.keybindings;
+	state.keyMap = buildKeyMap(settings.keybindings);
+	return settings;
 }
 
+/**
+ * Save the rate at whichever profile level it currently comes from
+ */
 function savePlaybackRate(rate) {
-	chrome.storage.sync.set({ udemy_playback_rate: rate });
+	saveProfileRate(state.rateLevel, rate);
 }
 
+/**
+ * Resolve the stored rate for the current lecture (see profiles.js)
+ */
 async function getStoredRate() {
-	return new Promise((resolve) => {
-		chrome.storage.sync.get({ udemy_playback_rate: state.config.defaultRate }, (data) => {
-			resolve(data.udemy_playback_rate);
-		});
-	});
+	state.context = detectContext();
+	await loadProfiles();
+
+	const { rate, level } = resolveRate();
+	state.rateLevel = level;
+	return rate;
 }
 
 // ============ Utility Functions ============
@@ -61,43 +68,29 @@ function log(...args) {
 	console.log('⚡ Superlearner:', ...args);
 }
 
-// ============ Video Detection ============
-
 /**
- * Find the video element using multiple strategies
- * Udemy uses Video.js, so we look for common patterns
+ * Fire-and-forget message to the service worker
+ * Fails quietly when the extension was reloaded under this page
  */
-function findVideoElement() {
-	// Strategy 1: Look for video with vjs-tech class (Video.js)
-	let video = document.querySelector('video.vjs-tech');
-	if (video) return video;
-	
-	// Strategy 2: Look for any video element in the main content area
-	video = document.querySelector('[data-purpose="video-player"] video');
-	if (video) return video;
-	
-	// Strategy 3: Look for video with specific Udemy patterns
-	video = document.querySelector('video[preload="auto"]');
-	if (video) return video;
-	
-	// Strategy 4: Just find any video on the page
-	const videos = document.querySelectorAll('video');
-	if (videos.length === 1) return videos[0];
-	
-	// If multiple videos, prefer the one that's visible/playing
-	for (const v of videos) {
-		if (v.readyState > 0 || v.currentTime > 0 || !v.paused) {
-			return v;
-		}
+function notifyBackground(message) {
+	try {
+		chrome.runtime.sendMessage(message).catch(() => {});
+	} catch (e) {
+		// Extension context invalidated
 	}
-	
-	return videos[0] || null;
 }
 
 // ============ Speed Control ============
 
+/**
+ * Set the playback rate
+ * options.source: 'user' (default) saves the rate; automatic sources such
+ * as 'wpm' or 'training' only apply it
+ * options.detail: extra toast line (defaults to the WPM at this rate)
+ */
 async function setPlaybackRate(rate, options = {}) {
 	const { config } = state;
+	const { source = 'user' } = options;
 	const video = state.currentVideo || findVideoElement();
 	
 	if (!video) {
@@ -107,14 +100,20 @@ async function setPlaybackRate(rate, options = {}) {
 	
 	state.currentVideo = video;
 	
+	// Manual changes always apply to the user's rate, not the silence speed
+	// or a replay/zone rate - whatever is set now replaces them
+	stopSkipping();
+	const previousRate = getUserRate(video);
+	cancelReplay();
+	cancelRateZone();
+	
 	// Handle increment/decrement
 	if (rate === 'increase' || rate === 'decrease') {
-		const currentRate = video.playbackRate;
 		const increment = options.coarse ? config.coarseIncrement : config.fineIncrement;
 		
 		let newRate = rate === 'increase' 
-			? currentRate + increment 
-			: currentRate - increment;
+			? previousRate + increment 
+			: previousRate - increment;
 		
 		// Clamp to bounds
 		if (newRate > config.maxRate) {
@@ -128,69 +127,209 @@ async function setPlaybackRate(rate, options = {}) {
 	}
 	
 	// Apply the rate
-	video.playbackRate = rate;
-	savePlaybackRate(rate);
+	applyRate(video, rate);
+	if (source === 'user') {
+		savePlaybackRate(rate);
+		noteManualRateChange(previousRate, rate);
+	}
 	
 	// Update any visible rate display
 	updateRateDisplay(rate);
 	
 	// Show toast
-	showSpeedToast(rate);
+	showSpeedToast(rate, options.detail ?? describeWpm(rate), source);
 	
-	log(`Speed set to ${formatRate(rate)}x`);
+	log(`Speed set to ${formatRate(rate)}x (${source})`);
+}
+
+// ============ Toast Notification ============
+
+// Where a speed the user set is saved (profiles.js levels)
+const TOAST_LEVEL_LABELS = {
+	lecture: 'saved for this lecture',
+	course: 'saved for this course',
+	instructor: 'saved for this instructor',
+	global: 'default speed'
+};
+
+// Sources whose rate comes from the profiles (not WPM, training or a zone)
+const PROFILE_RATE_SOURCES = ['user', 'sync', 'profile'];
+
+const toast = {
+	element: null,
+	timeout: null
+};
+
+function describeTimeLeft(rate) {
+	const video = state.currentVideo;
+	if (!video || !Number.isFinite(video.duration)) return null;
+	return `${formatTimestamp(Math.max(0, video.duration - video.currentTime) / rate)} left in lecture`;
 }
 
 /**
- * Update Udemy's playback rate display
- * Uses data-purpose attribute which is more stable than class names
+ * Speed toast with the optional extra lines (see the options page)
  */
-function updateRateDisplay(rate) {
-	// Try data-purpose selector (most reliable)
-	const rateButton = document.querySelector('[data-purpose="playback-rate-button"]');
-	if (rateButton) {
-		// Find the text element inside (might be nested)
-		const textEl = rateButton.querySelector('span') || rateButton;
-		if (textEl.childNodes.length > 0) {
-			// Update text content while preserving structure
-			for (const node of textEl.childNodes) {
-				if (node.nodeType === Node.TEXT_NODE || node.tagName === 'SPAN') {
-					node.textContent = formatRate(rate) + 'x';
-					break;
-				}
-			}
-		} else {
-			textEl.textContent = formatRate(rate) + 'x';
-		}
+function showSpeedToast(rate, detail, source = 'user') {
+	const { config } = state;
+	if (!config.toastEnabled) return;
+	
+	const lines = [detail];
+	if (config.toastShowTimeLeft) lines.push(describeTimeLeft(rate));
+	if (config.toastShowLevel && PROFILE_RATE_SOURCES.includes(source)) {
+		lines.push(TOAST_LEVEL_LABELS[state.rateLevel]);
 	}
+	showToast(`${formatRate(rate)}x`, lines, '⚡');
 }
 
-// ============ Toast Notification ============
+/**
+ * The toast lives in the fullscreen element while there is one, otherwise
+ * the page would cover it. A fullscreen <video> can't hold children.
+ */
+function getToastHost() {
+	const fullscreen = document.fullscreenElement;
+	return fullscreen && fullscreen.tagName !== 'VIDEO' ? fullscreen : document.body;
+}
 
-function showSpeedToast(rate) {
-	// Remove existing toast
-	const existingToast = document.querySelector('.superlearner-toast');
-	if (existingToast) existingToast.remove();
+/**
+ * One element, reused, so screen readers keep tracking it as a live
+ * region and announce each new message
+ */
+function getToastElement() {
+	if (!toast.element) {
+		toast.element = document.createElement('div');
+		toast.element.className = 'superlearner-toast';
+		toast.element.setAttribute('role', 'status');
+		toast.element.setAttribute('aria-live', 'polite');
+		toast.element.setAttribute('aria-atomic', 'true');
+	}
 	
-	const toast = document.createElement('div');
-	toast.className = 'superlearner-toast';
-	toast.innerHTML = `<span class="toast-icon">⚡</span> ${formatRate(rate)}x`;
+	const host = getToastHost();
+	if (toast.element.parentElement !== host) host.appendChild(toast.element);
+	return toast.element;
+}
+
+/**
+ * Spaces between the parts, so screen readers don't run the words
+ * together (flex layout ignores them visually)
+ */
+function withSpaces(nodes) {
+	return nodes.flatMap((node, index) => (index > 0 ? [' ', node] : [node]));
+}
+
+/**
+ * Show a message; detail is a line or an array of lines
+ * Duration defaults to the toast duration setting (seconds)
+ */
+function showToast(text, detail, icon, duration = state.config.toastDuration * 1000) {
+	const { config } = state;
+	const element = getToastElement();
+	element.dataset.position = config.toastPosition;
+	element.dataset.size = config.toastSize;
+	element.dataset.theme = config.toastTheme;
 	
-	document.body.appendChild(toast);
+	const content = [];
+	if (icon) {
+		const iconEl = document.createElement('span');
+		iconEl.className = 'toast-icon';
+		iconEl.setAttribute('aria-hidden', 'true');
+		iconEl.textContent = icon;
+		content.push(iconEl);
+	}
 	
-	// Trigger animation
+	const textEl = document.createElement('span');
+	textEl.textContent = text;
+	content.push(textEl);
+	
+	const lines = [].concat(detail).filter(Boolean);
+	if (lines.length > 0) {
+		const details = document.createElement('span');
+		details.className = 'toast-details';
+		details.append(...withSpaces(lines.map((line) => {
+			const lineEl = document.createElement('span');
+			lineEl.className = 'toast-detail';
+			lineEl.textContent = line;
+			return lineEl;
+		})));
+		content.push(details);
+	}
+	
+	element.replaceChildren(...withSpaces(content));
+	element.classList.remove('hide');
+	
+	// Trigger animation (frames don't run in a hidden tab, so this one may
+	// come after the toast was already hidden again)
 	requestAnimationFrame(() => {
-		toast.classList.add('show');
+		if (!element.classList.contains('hide')) element.classList.add('show');
 	});
 	
-	// Remove after animation
-	setTimeout(() => {
-		toast.classList.add('hide');
-		setTimeout(() => toast.remove(), 300);
-	}, 1000);
+	// Hide after the duration, then clear it so it isn't read out again
+	clearTimeout(toast.timeout);
+	toast.timeout = setTimeout(() => {
+		element.classList.remove('show');
+		element.classList.add('hide');
+		toast.timeout = setTimeout(() => element.replaceChildren(), 300);
+	}, duration);
 }
 
+// Rate writes are batched (shared/storage.js) - say so when they fail
+onStorageError((event) => {
+	if (event.ok) {
+		showToast('Saved', 'Storage is working again', '✓');
+	} else {
+		showToast(event.permanent ? 'Not saved' : 'Not saved yet', formatStorageNotice(event), '⚠', 5000);
+		log('Storage write failed:', event.message);
+	}
+});
+
 // ============ Keyboard Shortcuts ============
 
+const ACTION_HANDLERS = {
+	fineUp: () => setPlaybackRate('increase', { coarse: false, wrap: true }),
+	fineDown: () => setPlaybackRate('decrease', { coarse: false, wrap: true }),
+	coarseUp: () => setPlaybackRate('increase', { coarse: true, wrap: false }),
+	coarseDown: () => setPlaybackRate('decrease', { coarse: true, wrap: false }),
+	reset: () => setPlaybackRate(state.config.defaultRate),
+	toggle: () => toggleDefaultRate(),
+	bookmark: () => openBookmarkForm(),
+	replay: () => replayLastSentence()
+};
+
+/**
+ * Switch between the default rate and the last non-default rate
+ */
+function toggleDefaultRate() {
+	const video = state.currentVideo || findVideoElement();
+	const currentRate = video && getUserRate(video);
+	const { defaultRate } = state.config;
+	
+	if (currentRate && currentRate !== defaultRate) {
+		state.lastRate = currentRate;
+		setPlaybackRate(defaultRate);
+	} else if (state.lastRate) {
+		setPlaybackRate(state.lastRate);
+	}
+}
+
+/**
+ * Run a keybinding action, returns false if the action is unknown
+ */
+function runAction(action) {
+	if (ACTION_HANDLERS[action]) {
+		ACTION_HANDLERS[action]();
+		return true;
+	}
+	
+	// preset1..preset9 follow the order of the user's preset list
+	const match = action.match(/^preset(\d)$/);
+	const preset = match && state.customPresets[parseInt(match[1]) - 1];
+	if (preset) {
+		setPlaybackRate(preset.rate);
+		return true;
+	}
+	
+	return false;
+}
+
 function addKeyboardListeners() {
 	if (state.keyListenerAdded) return;
 	
@@ -202,46 +341,15 @@ function addKeyboardListeners() {
 			return;
 		}
 		
-		// Shift + Arrow Right: Increase speed (fine)
-		if (event.code === 'ArrowRight' && event.shiftKey && !event.ctrlKey && !event.altKey) {
-			event.preventDefault();
-			event.stopPropagation();
-			setPlaybackRate('increase', { coarse: false, wrap: true });
-		}
-		
-		// Shift + Arrow Left: Decrease speed (fine)
-		if (event.code === 'ArrowLeft' && event.shiftKey && !event.ctrlKey && !event.altKey) {
-			event.preventDefault();
-			event.stopPropagation();
-			setPlaybackRate('decrease', { coarse: false, wrap: true });
-		}
+		// Only on lecture pages of a supported site (not e.g. Udemy's
+		// homepage or search, which the adapter also matches)
+		if (!parseLectureUrl().lectureId) return;
 		
-		// Ctrl + Shift + Arrow Right: Coarse increase
-		if (event.code === 'ArrowRight' && event.shiftKey && event.ctrlKey) {
+		const chord = chordFromEvent(event);
+		const action = chord && state.keyMap.get(chord);
+		if (action && runAction(action)) {
 			event.preventDefault();
 			event.stopPropagation();
-			setPlaybackRate('increase', { coarse: true, wrap: false });
-		}
-		
-		// Ctrl + Shift + Arrow Left: Coarse decrease
-		if (event.code === 'ArrowLeft' && event.shiftKey && event.ctrlKey) {
-			event.preventDefault();
-			event.stopPropagation();
-			setPlaybackRate('decrease', { coarse: true, wrap: false });
-		}
-		
-		// Shift + Number keys for presets
-		if (event.shiftKey && event.code.startsWith('Digit') && !event.ctrlKey && !event.altKey) {
-			const num = parseInt(event.code.replace('Digit', ''));
-			if (num >= 1 && num <= 9) {
-				const speedMap = [0.5, 0.75, 1.0, 1.25, 1.5, 1.75, 2.0, 2.5, 3.0];
-				const speed = speedMap[num - 1];
-				if (speed) {
-					event.preventDefault();
-					event.stopPropagation();
-					setPlaybackRate(speed);
-				}
-			}
 		}
 	}, true); // Use capture phase to intercept before Udemy's handlers
 	
@@ -249,41 +357,133 @@ function addKeyboardListeners() {
 	log('Keyboard shortcuts active');
 }
 
+// ============ Native Rate Sync ============
+
+// A rate change this soon after a click or keypress in the rate menu came
+// from the user
+const USER_GESTURE_WINDOW_MS = 1000;
+
+const RATE_CONTROL_SELECTOR = `${RATE_BUTTON_SELECTOR}, [data-purpose="playback-rate-menu"], .superlearner-speed-menu`;
+
+/**
+ * Set a video's rate and remember it, so the ratechange it fires
+ * isn't mistaken for Udemy's own controls
+ */
+function applyRate(video, rate) {
+	video._superlearnerRate = rate;
+	video.playbackRate = rate;
+}
+
+/**
+ * Let automatic modes react to the user choosing a rate themselves
+ */
+function noteManualRateChange(previousRate, rate) {
+	state.manualRateAt = Date.now();
+	handleTrainingManualChange(previousRate, rate);
+}
+
+/**
+ * Persist rates picked in Udemy's own menu, undo Udemy's automatic resets
+ * Loading a new source (e.g. the next lecture in the same player) resets
+ * the rate to 1x; that's left to applyStoredRate once metadata arrives.
+ */
+function handleExternalRateChange(video) {
+	const rate = video.playbackRate;
+	const ownRate = video._superlearnerRate;
+	if (ownRate === undefined || Math.abs(rate - ownRate) < 0.001) return;
+	if (video._superlearnerLoading || video.readyState === video.HAVE_NOTHING) return;
+	
+	if (Date.now() - state.rateGestureAt < USER_GESTURE_WINDOW_MS) {
+		video._superlearnerRate = rate;
+		savePlaybackRate(rate);
+		cancelReplay();
+		cancelRateZone();
+		noteManualRateChange(ownRate, rate);
+		updateRateDisplay(rate);
+		log(`Saved rate from Udemy menu: ${formatRate(rate)}x`);
+	} else {
+		applyRate(video, ownRate);
+		log(`Undid Udemy rate reset to ${formatRate(rate)}x`);
+	}
+}
+
+function trackUserGestures() {
+	const markGesture = (event) => {
+		if (!event.isTrusted) return;
+		noteSeekGesture();
+		if (event.target.closest?.(RATE_CONTROL_SELECTOR)) state.rateGestureAt = Date.now();
+	};
+	document.addEventListener('pointerdown', markGesture, true);
+	document.addEventListener('keydown', markGesture, true);
+}
+
 // ============ Video Event Handlers ============
 
+/**
+ * Apply the current lecture's stored rate
+ */
+async function applyStoredRate(video) {
+	const storedRate = await getStoredRate();
+	refreshAudio(video);
+	
+	// Keep automatic adjustments (WPM mode) until the lecture changes
+	const { lectureId } = state.context;
+	const keepOwnRate = video._superlearnerRate !== undefined && video._superlearnerLecture === lectureId;
+	const rate = keepOwnRate ? video._superlearnerRate : storedRate;
+	video._superlearnerLecture = lectureId;
+	
+	if (video.playbackRate !== rate) {
+		applyRate(video, rate);
+		log(`Applied stored rate: ${formatRate(rate)}x`);
+	}
+	updateRateDisplay(rate);
+	reportStatus();
+}
+
 function attachVideoListeners(video) {
 	if (video._superlearnerAttached) return;
 	video._superlearnerAttached = true;
 	
-	const applyStoredRate = async () => {
-		const rate = await getStoredRate();
-		if (video.playbackRate !== rate) {
-			video.playbackRate = rate;
-			log(`Applied stored rate: ${formatRate(rate)}x`);
-		}
-		updateRateDisplay(rate);
-	};
-	
 	// Apply rate on various events (Udemy may reset it)
-	video.addEventListener('loadedmetadata', applyStoredRate);
-	video.addEventListener('loadeddata', applyStoredRate);
-	video.addEventListener('canplay', applyStoredRate);
-	video.addEventListener('play', applyStoredRate);
-	video.addEventListener('playing', applyStoredRate);
+	for (const type of ['loadedmetadata', 'loadeddata', 'canplay', 'play', 'playing']) {
+		video.addEventListener(type, () => applyStoredRate(video));
+	}
+	
+	// A new source is loading (its rate reset isn't the user's choice)
+	for (const type of ['emptied', 'loadstart']) {
+		video.addEventListener(type, () => {
+			video._superlearnerLoading = true;
+		});
+	}
+	video.addEventListener('loadedmetadata', () => {
+		video._superlearnerLoading = false;
+	});
 	
 	// Monitor for external rate changes (e.g., Udemy's own controls)
 	video.addEventListener('ratechange', () => {
-		const currentRate = video.playbackRate;
-		// Only save if it seems intentional (not a reset to 1.0)
-		if (currentRate !== 1.0 || state.currentVideo?.playbackRate === 1.0) {
-			// Don't save - might be Udemy resetting it
-		}
+		handleExternalRateChange(video);
+		reportStatus();
 	});
+	video.addEventListener('play', reportStatus);
+	video.addEventListener('pause', reportStatus);
 	
 	// Apply immediately if video is ready
 	if (video.readyState >= 1) {
-		applyStoredRate();
+		applyStoredRate(video);
 	}
+	
+	attachAudio(video);
+	attachSilenceSkip(video);
+	attachWpmMode(video);
+	attachAnalytics(video);
+	attachPlayerWidget(video);
+	attachWheelControl(video);
+	attachTraining(video);
+	attachBookmarks(video);
+	attachReplay(video);
+	attachFocusMode(video);
+	attachSpeedZones(video);
+	attachCurriculum(video);
 }
 
 // ============ Initialization ============
@@ -293,64 +493,155 @@ async function initialize() {
 	
 	await loadConfig();
 	addKeyboardListeners();
+	trackUserGestures();
+	if (getSiteAdapter()?.nativeRateMenu) setupNativeRateMenu();
 	
-	// Try to find video immediately
-	const video = findVideoElement();
-	if (video) {
+	// Video and lecture changes come from the tracker (lectureTracker.js)
+	onVideoAttached((video) => {
 		state.currentVideo = video;
 		attachVideoListeners(video);
-		log('Video found immediately');
-	}
-	
-	// Set up observer to detect dynamically loaded videos
-	const observer = new MutationObserver((mutations) => {
-		// Debounce - don't check on every tiny mutation
-		if (observer._timeout) return;
-		
-		observer._timeout = setTimeout(() => {
-			observer._timeout = null;
-			
-			const video = findVideoElement();
-			if (video && video !== state.currentVideo) {
-				state.currentVideo = video;
-				attachVideoListeners(video);
-				log('New video detected');
-			}
-		}, 100);
+		log('Video attached');
 	});
 	
-	observer.observe(document.body, {
-		childList: true,
-		subtree: true
+	// SPA lecture change - the player may keep the same element
+	onLectureChange(({ video }) => {
+		if (video) applyStoredRate(video);
 	});
 	
-	// Also poll periodically as a fallback (some SPAs are tricky)
-	setInterval(() => {
-		const video = findVideoElement();
-		if (video && video !== state.currentVideo) {
-			state.currentVideo = video;
-			attachVideoListeners(video);
-			log('Video found via polling');
-		}
-	}, 2000);
+	startLectureTracking();
 	
 	state.initialized = true;
 	log('Initialized - Find your perfect pace!');
 }
 
+// ============ Transport ============
+
+/**
+ * Seeks from the popup are the user's, so a seek into a skip zone isn't
+ * undone (see zones.js). Going to the next lecture isn't marked: the new
+ * source resets the rate, which mustn't be saved as the user's choice.
+ */
+function runTransport(action) {
+	const video = state.currentVideo || findVideoElement();
+	if (!video) return false;
+	
+	noteSeekGesture();
+	action(video);
+	return true;
+}
+
+function togglePlayback() {
+	return runTransport((video) => {
+		if (video.paused) {
+			video.play().catch(e => log('Play blocked:', e.message));
+		} else {
+			video.pause();
+		}
+	});
+}
+
+function seekBy(seconds) {
+	return runTransport((video) => {
+		const end = Number.isFinite(video.duration) ? video.duration : Infinity;
+		video.currentTime = Math.max(0, Math.min(end, video.currentTime + seconds));
+	});
+}
+
+function goToNextLecture() {
+	return getSiteAdapter()?.goToNextLecture?.() ?? false;
+}
+
 // ============ Message Handling ============
 
+/**
+ * The real rate of this tab and where it comes from
+ */
+function getTabStatus() {
+	const video = state.currentVideo || findVideoElement();
+	return {
+		rate: video ? getUserRate(video) : state.globalRate,
+		level: state.rateLevel,
+		context: state.context,
+		time: video ? video.currentTime : null,
+		duration: video && Number.isFinite(video.duration) ? video.duration : null,
+		wpm: getWpmStatus(video),
+		training: getTrainingStatus(),
+		audio: getAudioStatus(),
+		lectureTitle: detectLectureTitle(),
+		courseTitle: detectCourseTitle(),
+		paused: video ? video.paused : null,
+		canGoNext: Boolean(getSiteAdapter()?.goToNextLecture)
+	};
+}
+
+/**
+ * Tell the service worker (and an open popup) about rate changes
+ * Skips repeats, e.g. silence skipping doesn't change the user's rate
+ */
+function reportStatus() {
+	const status = getTabStatus();
+	const key = `${status.rate}|${status.level}|${status.wpm.effective}|${status.paused}`;
+	if (key === state.lastStatus) return;
+	
+	state.lastStatus = key;
+	notifyBackground({ type: 'STATUS', status });
+}
+
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 	if (message.type === 'SET_RATE') {
 		setPlaybackRate(message.rate);
 		sendResponse({ success: true });
 	}
+	if (message.type === 'RUN_ACTION') {
+		// Browser-level command (chrome.commands) routed by the service worker
+		sendResponse({ success: runAction(message.action) });
+	}
 	if (message.type === 'GET_RATE') {
+		sendResponse(getTabStatus());
+	}
+	if (message.type === 'TOGGLE_PLAY') {
+		sendResponse({ success: togglePlayback() });
+	}
+	if (message.type === 'SEEK_BY') {
+		sendResponse({ success: seekBy(message.seconds) });
+	}
+	if (message.type === 'NEXT_LECTURE') {
+		sendResponse({ success: goToNextLecture() });
+	}
+	if (message.type === 'SEEK_TO') {
+		sendResponse({ success: seekToBookmark(message) });
+	}
+	if (message.type === 'SYNC_RATE') {
+		// Saved in another tab - follow it if it changes this lecture's rate
+		const { rate } = applyProfileUpdate(message.update);
 		const video = state.currentVideo || findVideoElement();
-		sendResponse({ rate: video?.playbackRate || 1.0 });
+		if (video && Math.abs(getUserRate(video) - rate) >= 0.001) {
+			setPlaybackRate(rate, { source: 'sync' });
+		}
+		sendResponse({ success: true });
+	}
+	if (message.type === 'IDLE_STATE') {
+		handleIdleState(message.state);
+		sendResponse({ success: true });
+	}
+	if (message.type === 'SET_AUDIO') {
+		updateAudioSettings(message.audio).then(() => sendResponse({ success: true }));
+	}
+	if (message.type === 'PIN_RATE') {
+		const video = state.currentVideo || findVideoElement();
+		const success = pinRate(message.level, video ? getUserRate(video) : state.globalRate);
+		sendResponse({ success, level: state.rateLevel });
+	}
+	if (message.type === 'UNPIN_RATE') {
+		const { rate, level } = unpinRate(message.level);
+		setPlaybackRate(rate, { source: 'profile' });
+		sendResponse({ success: true, rate, level });
 	}
 	if (message.type === 'CONFIG_UPDATED') {
-		loadConfig();
+		loadConfig().then(() => {
+			updatePlayerWidget();
+			refreshSilenceMonitor();
+		});
 		sendResponse({ success: true });
 	}
 	return true;
@@ -364,7 +655,3 @@ if (document.readyState === 'loading') {
 } else {
 	initialize();
 }
-
-// Also try again after a delay (for slow-loading SPAs)
-setTimeout(initialize, 1000);
-setTimeout(initialize, 3000);
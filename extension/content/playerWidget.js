@@ -0,0 +1,197 @@
+/**
+ * Udemy Superlearner - Player Widget
+ * Compact speed control injected into the Video.js control bar
+ *
+ * Lives inside the player, so it keeps working in fullscreen. A scoped
+ * observer puts it back whenever Udemy re-renders the control bar.
+ */
+
+const widget = {
+	element: null,
+	video: null,
+	observer: null,
+	pending: false
+};
+
+// ============ Rendering ============
+
+function createWidget() {
+	const root = document.createElement('div');
+	root.className = 'superlearner-widget';
+
+	const decrease = createWidgetButton('decrease', '−', 'Decrease speed');
+	const increase = createWidgetButton('increase', '+', 'Increase speed');
+
+	const rate = document.createElement('button');
+	rate.className = 'sl-widget-rate';
+	rate.dataset.action = 'panel';
+	rate.setAttribute('aria-expanded', 'false');
+	rate.setAttribute('aria-label', 'Playback speed');
+
+	const panel = document.createElement('div');
+	panel.className = 'sl-widget-panel';
+	panel.hidden = true;
+
+	const slider = document.createElement('input');
+	slider.type = 'range';
+	slider.className = 'sl-widget-slider';
+	slider.setAttribute('aria-label', 'Playback speed');
+
+	const chips = document.createElement('div');
+	chips.className = 'sl-widget-chips';
+
+	const bookmark = createWidgetButton('bookmark', '🔖', 'Bookmark this moment');
+	bookmark.title = 'Bookmark this moment';
+
+	panel.append(slider, chips);
+	root.append(decrease, rate, increase, bookmark, panel);
+
+	root.addEventListener('click', handleWidgetClick);
+	slider.addEventListener('input', () => {
+		rate.textContent = `${formatRate(parseFloat(slider.value))}x`;
+	});
+	slider.addEventListener('change', () => {
+		setPlaybackRate(parseFloat(slider.value));
+	});
+
+	// Wheel mode (wheelControl.js): middle- or double-click resets the speed
+	rate.addEventListener('dblclick', () => {
+		if (resetFromRateDisplay()) togglePanel(false);
+	});
+	rate.addEventListener('mousedown', (event) => {
+		// Middle button would start autoscroll
+		if (event.button === 1 && state.config.wheelEnabled) event.preventDefault();
+	});
+	rate.addEventListener('auxclick', (event) => {
+		if (event.button === 1 && resetFromRateDisplay()) event.preventDefault();
+	});
+
+	// Keep keys and clicks from reaching the player (play/pause, seek)
+	root.addEventListener('keydown', (event) => event.stopPropagation());
+	root.addEventListener('pointerup', (event) => event.stopPropagation());
+
+	return root;
+}
+
+function createWidgetButton(action, text, label) {
+	const btn = document.createElement('button');
+	btn.className = 'sl-widget-btn';
+	btn.dataset.action = action;
+	btn.textContent = text;
+	btn.setAttribute('aria-label', label);
+	return btn;
+}
+
+function renderChips(chips, currentRate) {
+	chips.replaceChildren(...state.customPresets.map(({ rate, label }) => {
+		const chip = document.createElement('button');
+		chip.className = 'sl-widget-chip';
+		chip.dataset.action = 'preset';
+		chip.dataset.rate = rate;
+		chip.textContent = `${formatRate(rate)}x`;
+		chip.title = label;
+		chip.classList.toggle('active', Math.abs(rate - currentRate) < 0.001);
+		return chip;
+	}));
+}
+
+/**
+ * Refresh the widget to show the user's current rate
+ */
+function updatePlayerWidget() {
+	const { element, video } = widget;
+	if (!element || !video) return;
+
+	const { config } = state;
+	const rate = getUserRate(video);
+	const slider = element.querySelector('.sl-widget-slider');
+
+	element.querySelector('.sl-widget-rate').textContent = `${formatRate(rate)}x`;
+	slider.min = config.minRate;
+	slider.max = config.maxRate;
+	slider.step = config.fineIncrement;
+	slider.value = rate;
+	renderChips(element.querySelector('.sl-widget-chips'), rate);
+}
+
+function togglePanel(open) {
+	const panel = widget.element.querySelector('.sl-widget-panel');
+	const show = open ?? panel.hidden;
+	panel.hidden = !show;
+	widget.element.querySelector('.sl-widget-rate').setAttribute('aria-expanded', String(show));
+	if (show) updatePlayerWidget();
+}
+
+function handleWidgetClick(event) {
+	event.stopPropagation();
+
+	const action = event.target.closest('[data-action]')?.dataset.action;
+	if (action === 'decrease' || action === 'increase') {
+		setPlaybackRate(action, { coarse: event.shiftKey });
+	} else if (action === 'panel') {
+		togglePanel();
+	} else if (action === 'bookmark') {
+		togglePanel(false);
+		openBookmarkForm();
+	} else if (action === 'preset') {
+		setPlaybackRate(parseFloat(event.target.dataset.rate));
+		togglePanel(false);
+	}
+}
+
+// ============ Injection ============
+
+/**
+ * Insert the widget next to Udemy's rate button (or at the end of the bar)
+ */
+function mountWidget() {
+	widget.pending = false;
+	const { video } = widget;
+	if (!video?.isConnected) return;
+
+	const bar = findControlBar(video);
+	if (!bar || bar.contains(widget.element)) return;
+
+	widget.element ??= createWidget();
+
+	const rateButton = bar.querySelector(RATE_BUTTON_SELECTOR);
+	const anchor = rateButton && [...bar.children].find(child => child.contains(rateButton));
+	if (anchor) {
+		bar.insertBefore(widget.element, anchor);
+	} else {
+		bar.appendChild(widget.element);
+	}
+
+	updatePlayerWidget();
+}
+
+function scheduleMount() {
+	if (widget.pending) return;
+	widget.pending = true;
+	requestAnimationFrame(mountWidget);
+}
+
+/**
+ * Show the widget for a video (called from attachVideoListeners)
+ */
+function attachPlayerWidget(video) {
+	widget.video = video;
+	widget.observer?.disconnect();
+
+	widget.observer = new MutationObserver(scheduleMount);
+	widget.observer.observe(getPlayerContainer(video), { childList: true, subtree: true });
+
+	video.addEventListener('ratechange', () => {
+		if (widget.video === video) updatePlayerWidget();
+	});
+
+	scheduleMount();
+}
+
+// Close the panel when clicking anywhere else
+document.addEventListener('click', (event) => {
+	if (widget.element && !widget.element.contains(event.target)) {
+		const panel = widget.element.querySelector('.sl-widget-panel');
+		if (!panel.hidden) togglePanel(false);
+	}
+});
@@ -0,0 +1,160 @@
+/**
+ * Udemy Superlearner - Speed Profiles
+ * Keeps a playback rate per lecture, course and instructor
+ *
+ * Resolution order: lecture override → course → instructor → global default
+ *
+ * The maps grow with every course, past what a synced item can hold, so
+ * they're kept in local storage: course and instructor rates in
+ * udemy_profile_rates, lecture overrides in udemy_lecture_rates. Only the
+ * global rate syncs. Older versions kept them all in udemy_profiles
+ * (sync), which is migrated once per device and left for other devices.
+ */
+
+const PROFILE_LEVELS = ['lecture', 'course', 'instructor', 'global'];
+
+const EMPTY_PROFILES = {
+	lecture: {},
+	course: {},
+	instructor: {}
+};
+
+// ============ Context Detection ============
+
+function detectContext() {
+	return {
+		...parseLectureUrl(),
+		instructor: detectInstructor()
+	};
+}
+
+function getContextKey(level, context = state.context) {
+	if (level === 'lecture') return context.lectureId;
+	if (level === 'course') return context.courseSlug;
+	if (level === 'instructor') return context.instructor;
+	return null;
+}
+
+// ============ Profile Storage ============
+
+async function loadProfiles() {
+	const data = await storageGet({
+		udemy_profiles: EMPTY_PROFILES,
+		udemy_profile_rates: null,
+		udemy_lecture_rates: {},
+		udemy_playback_rate: state.config.defaultRate
+	});
+	const legacy = { ...EMPTY_PROFILES, ...data.udemy_profiles };
+	const migrate = data.udemy_profile_rates === null;
+	const shared = migrate ? legacy : data.udemy_profile_rates;
+
+	state.profiles = {
+		...EMPTY_PROFILES,
+		course: shared.course || {},
+		instructor: shared.instructor || {},
+		lecture: migrate ? { ...legacy.lecture, ...data.udemy_lecture_rates } : data.udemy_lecture_rates
+	};
+	state.globalRate = data.udemy_playback_rate;
+
+	if (migrate) {
+		saveProfiles('course');
+		saveProfiles('lecture');
+	}
+	return state.profiles;
+}
+
+/**
+ * Save the part of the profiles a level lives in
+ */
+function saveProfiles(level) {
+	if (level === 'lecture') {
+		storageSet({ udemy_lecture_rates: state.profiles.lecture });
+	} else {
+		const { course, instructor } = state.profiles;
+		storageSet({ udemy_profile_rates: { course, instructor } });
+	}
+}
+
+/**
+ * Resolve the rate for a context, walking from most to least specific level
+ */
+function resolveRate(context = state.context) {
+	for (const level of PROFILE_LEVELS) {
+		if (level === 'global') break;
+
+		const key = getContextKey(level, context);
+		const rate = key ? state.profiles[level][key] : undefined;
+		if (typeof rate === 'number') {
+			return { rate, level };
+		}
+	}
+
+	return { rate: state.globalRate, level: 'global' };
+}
+
+/**
+ * Store a rate at a specific level for the current context
+ * Returns false if the level has no key (e.g. instructor not detected)
+ */
+function saveProfileRate(level, rate) {
+	if (level === 'global') {
+		state.globalRate = rate;
+		storageSet({ udemy_playback_rate: rate });
+		notifyBackground({ type: 'RATE_CHANGED', update: { level, key: null, rate } });
+		return true;
+	}
+
+	const key = getContextKey(level);
+	if (!key) return false;
+
+	state.profiles[level] = { ...state.profiles[level], [key]: rate };
+	saveProfiles(level);
+	notifyBackground({ type: 'RATE_CHANGED', update: { level, key, rate } });
+	return true;
+}
+
+function pinRate(level, rate) {
+	if (!saveProfileRate(level, rate)) return false;
+	state.rateLevel = level;
+	return true;
+}
+
+/**
+ * Remove the current context's rate at a level and fall back to the next one
+ */
+function unpinRate(level) {
+	const key = getContextKey(level);
+	if (!key || !(key in state.profiles[level])) return resolveRate();
+
+	const entries = { ...state.profiles[level] };
+	delete entries[key];
+	state.profiles[level] = entries;
+	saveProfiles(level);
+	notifyBackground({ type: 'RATE_CHANGED', update: { level, key, rate: null } });
+
+	const resolved = resolveRate();
+	state.rateLevel = resolved.level;
+	return resolved;
+}
+
+/**
+ * Apply a rate saved in another tab (rate null means it was unpinned)
+ * Returns the re-resolved rate for this tab's lecture
+ */
+function applyProfileUpdate({ level, key, rate }) {
+	if (level === 'global') {
+		state.globalRate = rate;
+	} else if (PROFILE_LEVELS.includes(level) && key) {
+		const entries = { ...state.profiles[level] };
+		if (rate === null) {
+			delete entries[key];
+		} else {
+			entries[key] = rate;
+		}
+		state.profiles[level] = entries;
+	}
+
+	const resolved = resolveRate();
+	state.rateLevel = resolved.level;
+	return resolved;
+}
@@ -0,0 +1,96 @@
+/**
+ * Udemy Superlearner - Replay Last Sentence
+ * Jumps back to the start of the previous caption cue and replays up to
+ * where you were at a slower rate, then returns to your rate
+ *
+ * Without captions it goes back a fixed number of seconds instead.
+ * Uses the cue sources from wpm.js (transcript panel cues are cleared on
+ * each lecture change, so they never point into the previous lecture).
+ */
+
+const replay = {
+	video: null,
+	start: 0,
+	end: 0,
+	userRate: null
+};
+
+function isReplaying(video = replay.video) {
+	return replay.userRate !== null && replay.video === video;
+}
+
+/**
+ * Start of the cue before the one playing at `time` (null without cues)
+ */
+function findPreviousCueStart(cues, time) {
+	const starts = cues
+		.map(cue => cue.start)
+		.filter(start => start <= time)
+		.sort((a, b) => a - b);
+
+	if (starts.length === 0) return null;
+	return starts.length > 1 ? starts[starts.length - 2] : starts[0];
+}
+
+function replayLastSentence() {
+	const video = state.currentVideo || findVideoElement();
+	if (!video) return;
+
+	stopSkipping();
+	const userRate = getUserRate(video);
+	const end = isReplaying(video) ? Math.max(replay.end, video.currentTime) : video.currentTime;
+
+	const cues = getTrackCues(video) || wpm.panelCues;
+	const cueStart = findPreviousCueStart(cues, video.currentTime);
+	const start = cueStart ?? Math.max(0, video.currentTime - state.config.replayFallbackSeconds);
+	const rate = Math.min(userRate, state.config.replayRate);
+
+	Object.assign(replay, { video, start, end, userRate });
+	video.currentTime = start;
+	applyRate(video, rate);
+	updateRateDisplay(rate);
+
+	const detail = cueStart === null
+		? `last ${Math.round(end - start)}s (no captions)`
+		: 'previous sentence';
+	if (state.config.toastEnabled) showToast(`↺ replaying at ${formatRate(rate)}x`, detail);
+	log(`Replaying ${formatTimestamp(start)}-${formatTimestamp(end)} at ${formatRate(rate)}x`);
+}
+
+/**
+ * Stop replaying and go back to the user's rate
+ */
+function finishReplay() {
+	const { video, userRate } = replay;
+	replay.userRate = null;
+
+	applyRate(video, userRate);
+	updateRateDisplay(userRate);
+}
+
+/**
+ * Forget a running replay because a new rate was just set
+ */
+function cancelReplay() {
+	replay.userRate = null;
+}
+
+/**
+ * Called from attachVideoListeners
+ */
+function attachReplay(video) {
+	if (replay.video !== video) cancelReplay();
+
+	video.addEventListener('timeupdate', () => {
+		if (isReplaying(video) && video.currentTime >= replay.end) finishReplay();
+	});
+
+	// Seeking away from the replayed span ends it
+	video.addEventListener('seeked', () => {
+		if (!isReplaying(video)) return;
+		if (video.currentTime < replay.start - 0.5 || video.currentTime > replay.end) finishReplay();
+	});
+}
+
+// A replay's span belongs to its lecture; the new one gets its stored rate
+onLectureChange(cancelReplay);
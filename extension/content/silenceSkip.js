@@ -0,0 +1,166 @@
+/**
+ * Udemy Superlearner - Silence Skipping
+ * Temporarily speeds through pauses while the instructor types or thinks
+ *
+ * While audio stays below silenceThreshold (dBFS) for silenceMinDuration
+ * seconds the video plays at silenceSpeed, then returns to the user's rate
+ */
+
+const SILENCE_TICK_MS = 50;
+const SILENCE_SAVE_INTERVAL_MS = 10000;
+
+const silence = {
+	timer: null,
+	video: null,
+	skipping: false,
+	userRate: null,
+	silenceStart: null,
+	lastTick: null,
+	unsavedSeconds: 0,
+	lastSave: 0
+};
+
+/**
+ * The rate the user chose, even while a silence is being skipped, a
+ * sentence replayed or a speed zone played
+ */
+function getUserRate(video) {
+	if (isReplaying(video)) return replay.userRate;
+	if (isInRateZone(video)) return speedZones.userRate;
+	return silence.skipping && silence.video === video ? silence.userRate : video.playbackRate;
+}
+
+function startSkipping(video) {
+	const { silenceSpeed } = state.config;
+	if (video.playbackRate >= silenceSpeed) return;
+
+	silence.skipping = true;
+	silence.userRate = video.playbackRate;
+	applyRate(video, silenceSpeed);
+}
+
+/**
+ * Return to the user's rate (safe to call when not skipping)
+ */
+function stopSkipping() {
+	if (!silence.skipping) return;
+
+	const { video, userRate } = silence;
+	silence.skipping = false;
+	silence.silenceStart = null;
+
+	if (video && video.playbackRate === state.config.silenceSpeed) {
+		applyRate(video, userRate);
+	}
+	saveTimeSaved(true);
+}
+
+/**
+ * Wall-clock seconds saved compared with playing the gap at the user's rate
+ */
+function trackTimeSaved(elapsedMs) {
+	const { silenceSpeed } = state.config;
+	silence.unsavedSeconds += (elapsedMs / 1000) * (silenceSpeed / silence.userRate - 1);
+	saveTimeSaved();
+}
+
+function saveTimeSaved(force = false) {
+	const now = Date.now();
+	if (silence.unsavedSeconds <= 0) return;
+	if (!force && now - silence.lastSave < SILENCE_SAVE_INTERVAL_MS) return;
+
+	const seconds = silence.unsavedSeconds;
+	silence.unsavedSeconds = 0;
+	silence.lastSave = now;
+
+	storageGet({ udemy_silence_saved: 0 }).then((data) => {
+		storageSet({ udemy_silence_saved: data.udemy_silence_saved + seconds });
+	});
+}
+
+function silenceTick() {
+	const { video } = silence;
+	const { config } = state;
+	const now = performance.now();
+	const elapsed = silence.lastTick ? now - silence.lastTick : 0;
+	silence.lastTick = now;
+
+	if (!config.silenceSkipEnabled) {
+		stopSilenceMonitor();
+		return;
+	}
+
+	if (!video || video.paused || isTemporaryRate(video)) {
+		stopSkipping();
+		return;
+	}
+
+	// Someone else changed the rate mid-skip (keyboard, Udemy menu)
+	if (silence.skipping && video.playbackRate !== config.silenceSpeed) {
+		silence.skipping = false;
+		silence.silenceStart = null;
+	}
+
+	const graph = getAudioGraph(video);
+	if (!graph) return;
+
+	const isSilent = measureLevel(graph) < config.silenceThreshold;
+
+	if (!isSilent) {
+		silence.silenceStart = null;
+		stopSkipping();
+		return;
+	}
+
+	if (silence.skipping) {
+		trackTimeSaved(elapsed);
+		return;
+	}
+
+	silence.silenceStart ??= now;
+	if (now - silence.silenceStart >= config.silenceMinDuration * 1000) {
+		startSkipping(video);
+	}
+}
+
+/**
+ * Only runs while silence skipping is on and the video plays
+ */
+function startSilenceMonitor() {
+	if (silence.timer || !state.config.silenceSkipEnabled) return;
+	silence.lastTick = null;
+	silence.timer = setInterval(silenceTick, SILENCE_TICK_MS);
+}
+
+function stopSilenceMonitor() {
+	clearInterval(silence.timer);
+	silence.timer = null;
+	stopSkipping();
+}
+
+/**
+ * Start or stop the monitor after the setting changed (CONFIG_UPDATED)
+ */
+function refreshSilenceMonitor() {
+	if (state.config.silenceSkipEnabled && silence.video && !silence.video.paused) {
+		startSilenceMonitor();
+	} else {
+		stopSilenceMonitor();
+	}
+}
+
+/**
+ * Monitor a video for silences (called from attachVideoListeners)
+ */
+function attachSilenceSkip(video) {
+	if (silence.video && silence.video !== video) {
+		stopSilenceMonitor();
+	}
+	silence.video = video;
+
+	video.addEventListener('play', startSilenceMonitor);
+	video.addEventListener('pause', stopSilenceMonitor);
+	video.addEventListener('ended', stopSilenceMonitor);
+
+	if (!video.paused) startSilenceMonitor();
+}
@@ -0,0 +1,173 @@
+/**
+ * Udemy Superlearner - Site Adapters
+ * Everything that depends on a particular site's markup sits behind one
+ * interface, so the rest of the content script works on any supported site
+ *
+ * An adapter is a plain object registered with registerSiteAdapter():
+ * {
+ *   id, name,
+ *   matches(url)            → true if this adapter handles the page (a URL object)
+ *   findVideo()             → the lecture's <video>, or null
+ *   parseLectureUrl(url)    → { courseSlug, lectureId } for a URL object
+ *   detectInstructor()      → instructor key, or null
+ *   detectLectureTitle()    → string or null
+ *   detectCourseTitle()     → string or null
+ *   updateRateDisplay(rate) → optional, mirror the rate in the site's own UI
+ *   playerSelectors, controlBarSelectors, progressBarSelectors → arrays
+ *   nativeRateMenu          → true if nativeMenu.js understands its rate menu
+ *   goToNextLecture()       → optional, start the next lecture; true if it did
+ *   findCurriculum()        → optional, the curriculum sidebar element
+ *   getCurriculumSections(root) → optional, for curriculum.js:
+ *     [{ anchor, summary: { duration, done, total } | null,
+ *        items: [{ anchor, duration, completed, current }] }]
+ *     (durations in seconds at 1x, anchors are where labels go)
+ * }
+ *
+ * Udemy IDs are stored as-is; other sites prefix theirs ("coursera:…")
+ * so profiles, zones and bookmarks can't collide across sites.
+ */
+
+const SITE_ADAPTERS = [];
+
+// Video.js is used by Udemy, Coursera and LinkedIn Learning
+const VIDEO_JS_SELECTORS = {
+	player: ['.video-js'],
+	controlBar: ['.vjs-control-bar'],
+	progressBar: ['.vjs-progress-holder']
+};
+
+const siteCache = {
+	href: null,
+	adapter: null
+};
+
+function registerSiteAdapter(adapter) {
+	SITE_ADAPTERS.push(adapter);
+}
+
+/**
+ * The adapter for a URL (defaults to the current page), or null when the
+ * page isn't a supported lecture page - e.g. the LinkedIn feed
+ */
+function getSiteAdapter(url = location.href) {
+	if (url === siteCache.href) return siteCache.adapter;
+
+	const parsed = new URL(url);
+	const adapter = SITE_ADAPTERS.find(a => a.matches(parsed)) || null;
+	if (url === location.href) {
+		siteCache.href = url;
+		siteCache.adapter = adapter;
+	}
+	return adapter;
+}
+
+// ============ Shared Helpers ============
+
+/**
+ * Pick the lecture video when a page has several
+ * Prefers one that has loaded or is playing
+ */
+function pickVideo(videos) {
+	if (videos.length <= 1) return videos[0] || null;
+
+	for (const video of videos) {
+		if (video.readyState > 0 || video.currentTime > 0 || !video.paused) {
+			return video;
+		}
+	}
+	return videos[0];
+}
+
+function normalizeInstructor(name) {
+	return name.trim().toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Course author from structured data (present on many course pages)
+ */
+function detectJsonLdAuthor() {
+	for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+		try {
+			const data = [].concat(JSON.parse(script.textContent));
+			for (const item of data) {
+				const author = [].concat(item.creator || item.author || [])[0];
+				if (author?.name) return normalizeInstructor(author.name);
+			}
+		} catch (e) {
+			// Ignore malformed JSON-LD
+		}
+	}
+	return null;
+}
+
+/**
+ * "Lecture - Course | Site" style titles, split on the given separator
+ */
+function splitDocumentTitle(separator = '|') {
+	return document.title.split(separator).map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Seconds in a duration label such as "5min", "1hr 5min" or "45s"
+ * Returns null for text that isn't a duration
+ */
+function parseDurationText(text) {
+	const match = text.trim().match(/^(?:(\d+)\s*h(?:r|our)?s?)?\s*(?:(\d+)\s*m(?:in)?s?)?\s*(?:(\d+)\s*s(?:ec)?s?)?$/i);
+	if (!match || !(match[1] || match[2] || match[3])) return null;
+
+	const [, hours = 0, minutes = 0, seconds = 0] = match;
+	return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+function queryFirst(root, selectors) {
+	for (const selector of selectors) {
+		const element = root.querySelector(selector);
+		if (element) return element;
+	}
+	return null;
+}
+
+// ============ Page Access ============
+
+function findVideoElement() {
+	return getSiteAdapter()?.findVideo() ?? null;
+}
+
+function updateRateDisplay(rate) {
+	getSiteAdapter()?.updateRateDisplay?.(rate);
+}
+
+function parseLectureUrl(url = location.href) {
+	const adapter = getSiteAdapter(url);
+	return adapter
+		? adapter.parseLectureUrl(new URL(url))
+		: { courseSlug: null, lectureId: null };
+}
+
+function detectInstructor() {
+	return getSiteAdapter()?.detectInstructor() ?? null;
+}
+
+function detectLectureTitle() {
+	return getSiteAdapter()?.detectLectureTitle() ?? null;
+}
+
+function detectCourseTitle() {
+	return getSiteAdapter()?.detectCourseTitle() ?? null;
+}
+
+function getPlayerContainer(video) {
+	for (const selector of getSiteAdapter()?.playerSelectors || []) {
+		const player = video.closest(selector);
+		if (player) return player;
+	}
+	return video.parentElement;
+}
+
+function findControlBar(video) {
+	return queryFirst(getPlayerContainer(video), getSiteAdapter()?.controlBarSelectors || []);
+}
+
+function findProgressBar(video) {
+	return queryFirst(getPlayerContainer(video), getSiteAdapter()?.progressBarSelectors || []);
+}
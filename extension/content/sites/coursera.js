@@ -0,0 +1,45 @@
+/**
+ * Udemy Superlearner - Coursera Adapter
+ * Lecture pages: /learn/{course}/lecture/{id}/{slug}
+ * Enabled from the popup (optional host permission)
+ */
+
+registerSiteAdapter({
+	id: 'coursera',
+	name: 'Coursera',
+	nativeRateMenu: false,
+
+	playerSelectors: VIDEO_JS_SELECTORS.player,
+	controlBarSelectors: VIDEO_JS_SELECTORS.controlBar,
+	progressBarSelectors: VIDEO_JS_SELECTORS.progressBar,
+
+	matches(url) {
+		return url.hostname.endsWith('coursera.org') && url.pathname.startsWith('/learn/');
+	},
+
+	findVideo() {
+		return document.querySelector('video.vjs-tech') || pickVideo(document.querySelectorAll('video'));
+	},
+
+	parseLectureUrl(url) {
+		const match = url.pathname.match(/^\/learn\/([^/]+)(?:\/lecture\/([^/]+))?/);
+		return {
+			courseSlug: match?.[1] ? `coursera:${match[1]}` : null,
+			lectureId: match?.[2] ? `coursera:${match[2]}` : null
+		};
+	},
+
+	detectInstructor() {
+		return detectJsonLdAuthor();
+	},
+
+	// "Lecture Title | Coursera"
+	detectLectureTitle() {
+		return document.querySelector('h1')?.textContent.trim() || splitDocumentTitle()[0] || null;
+	},
+
+	detectCourseTitle() {
+		const slug = parseLectureUrl().courseSlug;
+		return slug ? slug.replace(/^coursera:/, '').replace(/-/g, ' ') : null;
+	}
+});
@@ -0,0 +1,49 @@
+/**
+ * Udemy Superlearner - LinkedIn Learning Adapter
+ * Video pages: /learning/{course}/{video}
+ * Enabled from the popup (optional host permission). The rest of
+ * linkedin.com has no adapter, so feed videos are left alone.
+ */
+
+registerSiteAdapter({
+	id: 'linkedin',
+	name: 'LinkedIn Learning',
+	nativeRateMenu: false,
+
+	playerSelectors: VIDEO_JS_SELECTORS.player,
+	controlBarSelectors: VIDEO_JS_SELECTORS.controlBar,
+	progressBarSelectors: VIDEO_JS_SELECTORS.progressBar,
+
+	matches(url) {
+		return url.hostname.endsWith('linkedin.com') && url.pathname.startsWith('/learning/');
+	},
+
+	findVideo() {
+		return document.querySelector('video.vjs-tech') || pickVideo(document.querySelectorAll('video'));
+	},
+
+	parseLectureUrl(url) {
+		const match = url.pathname.match(/^\/learning\/([^/]+)(?:\/([^/]+))?/);
+		const course = match?.[1];
+		return {
+			courseSlug: course ? `linkedin:${course}` : null,
+			lectureId: course && match[2] ? `linkedin:${course}/${match[2]}` : null
+		};
+	},
+
+	detectInstructor() {
+		const link = document.querySelector('a[href*="/learning/instructors/"]');
+		const match = link?.getAttribute('href').match(/\/learning\/instructors\/([^/?#]+)/);
+		return match?.[1] || detectJsonLdAuthor();
+	},
+
+	// "Video Title - Course Title Video Tutorial | LinkedIn Learning"
+	detectLectureTitle() {
+		return splitDocumentTitle()[0]?.split(' - ')[0] || null;
+	},
+
+	detectCourseTitle() {
+		const [, course] = (splitDocumentTitle()[0] || '').split(' - ');
+		return course?.replace(/\s+Video Tutorial$/, '') || null;
+	}
+});
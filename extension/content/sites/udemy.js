@@ -0,0 +1,159 @@
+/**
+ * Udemy Superlearner - Udemy Adapter
+ * udemy.com, Udemy Business subdomains and Udemy Business on a company's
+ * own domain (recognised by Udemy's course-taking URLs)
+ */
+
+// Curriculum section header, e.g. "3 / 12 | 1hr 5min"
+const UDEMY_SECTION_SUMMARY = /^(\d+)\s*\/\s*(\d+)\s*\|\s*(.+)$/;
+
+registerSiteAdapter({
+	id: 'udemy',
+	name: 'Udemy',
+	nativeRateMenu: true,
+
+	playerSelectors: ['[data-purpose="video-player"]', ...VIDEO_JS_SELECTORS.player],
+	controlBarSelectors: ['[data-purpose="video-controls"]', ...VIDEO_JS_SELECTORS.controlBar],
+	progressBarSelectors: [...VIDEO_JS_SELECTORS.progressBar, '[data-purpose="video-progress-bar"]'],
+
+	matches(url) {
+		return url.hostname === 'udemy.com'
+			|| url.hostname.endsWith('.udemy.com')
+			|| /^\/course\/[^/]+\/learn\//.test(url.pathname);
+	},
+
+	/**
+	 * Find the video element using multiple strategies
+	 * Udemy uses Video.js, so we look for common patterns
+	 */
+	findVideo() {
+		return document.querySelector('video.vjs-tech')
+			|| document.querySelector('[data-purpose="video-player"] video')
+			|| document.querySelector('video[preload="auto"]')
+			|| pickVideo(document.querySelectorAll('video'));
+	},
+
+	/**
+	 * Course slug and lecture ID from a course-taking URL
+	 * e.g. /course/python-bootcamp/learn/lecture/1234567
+	 */
+	parseLectureUrl(url) {
+		const match = url.pathname.match(/\/course\/([^/]+)(?:\/learn\/lecture\/(\d+))?/);
+		return {
+			courseSlug: match?.[1] || null,
+			lectureId: match?.[2] || null
+		};
+	},
+
+	/**
+	 * Profile slug from the instructor links (stable), otherwise the
+	 * display name from structured data
+	 * Only the instructor containers count - Q&A, review and account links
+	 * also point at /user/ profiles, so no match means no instructor
+	 */
+	detectInstructor() {
+		const links = document.querySelectorAll(
+			'[data-purpose="instructor-name-top"] a[href*="/user/"], [data-purpose="instructor-bio"] a[href*="/user/"]'
+		);
+		for (const link of links) {
+			const match = link.getAttribute('href')?.match(/\/user\/([^/?#]+)/);
+			if (match && match[1] !== 'edit-profile') {
+				return match[1];
+			}
+		}
+		return detectJsonLdAuthor();
+	},
+
+	detectLectureTitle() {
+		const current = document.querySelector(
+			'[data-purpose^="curriculum-item"][aria-current="true"] [data-purpose="item-title"], ' +
+			'li[aria-current="true"] [data-purpose="item-title"]'
+		);
+		return current?.textContent.trim() || null;
+	},
+
+	detectCourseTitle() {
+		const header = document.querySelector('[data-purpose="course-header-title"], h1[data-purpose="lead-title"]');
+		if (header?.textContent.trim()) return header.textContent.trim();
+
+		// "Course Title | Udemy"
+		return splitDocumentTitle()[0] || null;
+	},
+
+	/**
+	 * The player's "next" button, otherwise the next curriculum item
+	 */
+	goToNextLecture() {
+		const button = document.querySelector('[data-purpose="go-to-next"]');
+		if (button) {
+			button.click();
+			return true;
+		}
+
+		const items = [...document.querySelectorAll('[data-purpose^="curriculum-item-"]')];
+		const current = items.findIndex(item =>
+			item.getAttribute('aria-current') === 'true' || item.closest('li[aria-current="true"]')
+		);
+		const next = current >= 0 ? items[current + 1] : null;
+		next?.click();
+		return Boolean(next);
+	},
+
+	findCurriculum() {
+		return document.querySelector('[data-purpose="curriculum-section-container"]');
+	},
+
+	/**
+	 * Section headers are always rendered, their items only while expanded
+	 */
+	getCurriculumSections(root) {
+		return [...root.querySelectorAll('[data-purpose^="section-panel-"]')].map(panel => {
+			const heading = [...panel.querySelectorAll('span')]
+				.find(span => UDEMY_SECTION_SUMMARY.test(span.textContent.trim()));
+			const [, done, total, duration] = heading?.textContent.trim().match(UDEMY_SECTION_SUMMARY) || [];
+
+			const items = [...panel.querySelectorAll('[data-purpose^="curriculum-item-"]')].map(item => {
+				const label = [...item.querySelectorAll('span')].find(span =>
+					span.children.length === 0 && parseDurationText(span.textContent) !== null
+				);
+				return label && {
+					anchor: label,
+					duration: parseDurationText(label.textContent),
+					completed: Boolean(item.querySelector('input[type="checkbox"]')?.checked),
+					current: item.getAttribute('aria-current') === 'true' || Boolean(item.closest('li[aria-current="true"]'))
+				};
+			}).filter(Boolean);
+
+			return {
+				anchor: heading || null,
+				summary: heading && parseDurationText(duration) !== null
+					? { duration: parseDurationText(duration), done: Number(done), total: Number(total) }
+					: null,
+				items
+			};
+		});
+	},
+
+	/**
+	 * Update the player's rate button label
+	 * Uses data-purpose attribute which is more stable than class names
+	 */
+	updateRateDisplay(rate) {
+		const rateButton = document.querySelector(RATE_BUTTON_SELECTOR);
+		if (!rateButton) return;
+
+		// Find the text element inside (might be nested)
+		const textEl = rateButton.querySelector('span') || rateButton;
+		if (textEl.childNodes.length > 0) {
+			// Update text content while preserving structure
+			for (const node of textEl.childNodes) {
+				if (node.nodeType === Node.TEXT_NODE || node.tagName === 'SPAN') {
+					node.textContent = formatRate(rate) + 'x';
+					break;
+				}
+			}
+		} else {
+			textEl.textContent = formatRate(rate) + 'x';
+		}
+	}
+});
@@ -0,0 +1,187 @@
+/**
+ * Udemy Superlearner - Speed Training
+ * Gradually ramps the rate during a session, up to a ceiling
+ *
+ * Every trainingInterval minutes of actual playback the rate goes up by
+ * trainingStep. Rewinding rolls back a step; slowing down manually keeps
+ * your rate and restarts the interval from there. The highest rate held
+ * for a full interval is the "comfortable max", which is where the next
+ * session starts (stored in chrome.storage.local).
+ */
+
+const TRAINING_TICK_MS = 1000;
+const TRAINING_REWIND_SECONDS = 2; // smaller jumps back aren't rewinds
+const TRAINING_MAX_HISTORY_DAYS = 60;
+
+const training = {
+	timer: null,
+	video: null,
+	active: false,
+	rate: null,
+	playedSeconds: 0,
+	lastTick: null,
+	lastTime: 0,
+	progress: null // { comfortableMax, days: { 'YYYY-MM-DD': maxRate } }
+};
+
+function isTrainingEnabled() {
+	const { config } = state;
+	return config.trainingEnabled && !config.wpmEnabled;
+}
+
+function roundRate(rate) {
+	return Math.round(rate * 100) / 100;
+}
+
+// ============ Progress Storage ============
+
+async function loadTrainingProgress() {
+	const { udemy_training } = await storageGet({ udemy_training: null });
+	training.progress = udemy_training || { comfortableMax: null, days: {} };
+	return training.progress;
+}
+
+function saveTrainingProgress() {
+	const days = Object.keys(training.progress.days).sort();
+	for (const old of days.slice(0, -TRAINING_MAX_HISTORY_DAYS)) {
+		delete training.progress.days[old];
+	}
+	storageSet({ udemy_training: training.progress });
+}
+
+/**
+ * Record a rate held for a full interval
+ */
+function recordComfortableRate(rate) {
+	const { progress } = training;
+	const today = new Date().toLocaleDateString('en-CA');
+
+	progress.comfortableMax = Math.max(progress.comfortableMax || 0, rate);
+	progress.days[today] = Math.max(progress.days[today] || 0, rate);
+	saveTrainingProgress();
+}
+
+// ============ Ramp ============
+
+function getTrainingStartRate() {
+	const { trainingStartRate, trainingCeiling } = state.config;
+	const comfortable = training.progress?.comfortableMax || trainingStartRate;
+	return roundRate(Math.min(trainingCeiling, Math.max(trainingStartRate, comfortable)));
+}
+
+function setTrainingRate(rate, detail) {
+	training.rate = roundRate(rate);
+	training.playedSeconds = 0;
+	setPlaybackRate(training.rate, { source: 'training', detail });
+}
+
+function stepUp() {
+	const { trainingStep, trainingCeiling } = state.config;
+	recordComfortableRate(training.rate);
+
+	if (training.rate >= trainingCeiling) {
+		training.playedSeconds = 0;
+		return;
+	}
+	setTrainingRate(Math.min(trainingCeiling, training.rate + trainingStep), '📈 training step up');
+}
+
+function rollBack(reason) {
+	const { trainingStep, trainingStartRate } = state.config;
+	setTrainingRate(Math.max(trainingStartRate, training.rate - trainingStep), `↩ ${reason}`);
+	log(`Training rolled back to ${formatRate(training.rate)}x (${reason})`);
+}
+
+/**
+ * Called for manual rate changes, from inside setPlaybackRate - so only
+ * the ramp is updated here, the rate the user picked stays. Either way it
+ * becomes the training rate and the interval starts over; slowing down
+ * is the rollback.
+ */
+function handleTrainingManualChange(previousRate, rate) {
+	if (!training.active) return;
+
+	training.rate = roundRate(rate);
+	training.playedSeconds = 0;
+	if (rate < previousRate) log(`Training rolled back to ${formatRate(training.rate)}x (slowed down)`);
+}
+
+function trainingTick() {
+	const { video } = training;
+	const now = performance.now();
+	const elapsed = training.lastTick ? (now - training.lastTick) / 1000 : 0;
+	training.lastTick = now;
+
+	if (!isTrainingEnabled()) {
+		training.active = false;
+		return;
+	}
+
+	if (!training.active) {
+		training.active = true;
+		setTrainingRate(getTrainingStartRate(), '🏋 training');
+		return;
+	}
+
+	if (!video || video.paused) return;
+
+	training.lastTime = video.currentTime;
+	training.playedSeconds += elapsed;
+	if (training.playedSeconds >= state.config.trainingInterval * 60) {
+		stepUp();
+	}
+}
+
+function getTrainingStatus() {
+	const { config } = state;
+	return {
+		enabled: isTrainingEnabled(),
+		rate: training.rate,
+		startRate: config.trainingStartRate,
+		ceiling: config.trainingCeiling,
+		step: config.trainingStep,
+		nextStepIn: training.active
+			? Math.max(0, config.trainingInterval * 60 - training.playedSeconds)
+			: null,
+		comfortableMax: training.progress?.comfortableMax || null
+	};
+}
+
+// ============ Video Hooks ============
+
+function startTrainingMonitor() {
+	if (training.timer) return;
+	training.lastTick = null;
+	training.timer = setInterval(trainingTick, TRAINING_TICK_MS);
+}
+
+function stopTrainingMonitor() {
+	clearInterval(training.timer);
+	training.timer = null;
+}
+
+/**
+ * Run speed training for a video (called from attachVideoListeners)
+ */
+async function attachTraining(video) {
+	training.video = video;
+	training.active = false;
+	training.lastTime = video.currentTime;
+	await loadTrainingProgress();
+
+	video.addEventListener('seeking', () => {
+		// Replays jump back on purpose and already slow down
+		if (training.video !== video || !training.active || isReplaying(video)) return;
+		// Neither is focus mode's rewind on resume (focusMode.js)
+		if (!isFocusRewind(video) && video.currentTime < training.lastTime - TRAINING_REWIND_SECONDS) {
+			rollBack('rewound');
+		}
+		training.lastTime = video.currentTime;
+	});
+
+	video.addEventListener('play', startTrainingMonitor);
+	video.addEventListener('pause', stopTrainingMonitor);
+	video.addEventListener('ended', stopTrainingMonitor);
+
+	if (!video.paused) startTrainingMonitor();
+}
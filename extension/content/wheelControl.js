@@ -0,0 +1,74 @@
+/**
+ * Udemy Superlearner - Wheel Control
+ * Optional mouse-wheel speed control over the player
+ *
+ * - Alt + scroll: fine step (up is faster), Alt + Shift + scroll: coarse
+ * - Middle- or double-click the speed in the player widget: reset to default
+ *
+ * Trackpads send many small wheel events per swipe, so deltas are summed
+ * and one step is taken per mouse-notch worth of scrolling.
+ */
+
+const WHEEL_STEP_PX = 100; // about one notch of a mouse wheel
+const WHEEL_RESET_MS = 300; // a pause this long starts a new gesture
+const WHEEL_LINE_PX = 16;
+
+const wheel = {
+	delta: 0,
+	lastAt: 0,
+	containers: new WeakSet()
+};
+
+/**
+ * Wheel delta in pixels, whatever unit the device reports
+ */
+function getWheelPixels(event) {
+	// Shift turns vertical scrolling horizontal on some platforms
+	const delta = event.deltaY || event.deltaX;
+	if (event.deltaMode === WheelEvent.DOM_DELTA_LINE) return delta * WHEEL_LINE_PX;
+	if (event.deltaMode === WheelEvent.DOM_DELTA_PAGE) return delta * WHEEL_STEP_PX;
+	return delta;
+}
+
+function handleWheel(event) {
+	if (!state.config.wheelEnabled || !event.altKey || event.ctrlKey || event.metaKey) return;
+
+	// The page mustn't scroll (or zoom) while the wheel adjusts the speed
+	event.preventDefault();
+	event.stopPropagation();
+
+	const now = Date.now();
+	const delta = getWheelPixels(event);
+	if (now - wheel.lastAt > WHEEL_RESET_MS || Math.sign(delta) !== Math.sign(wheel.delta)) {
+		wheel.delta = 0;
+	}
+	wheel.lastAt = now;
+	wheel.delta += delta;
+	if (Math.abs(wheel.delta) < WHEEL_STEP_PX) return;
+
+	// One step per event, so a fast spin can't skip several at once
+	const direction = wheel.delta < 0 ? 'increase' : 'decrease';
+	wheel.delta %= WHEEL_STEP_PX;
+	setPlaybackRate(direction, { coarse: event.shiftKey, wrap: false });
+}
+
+/**
+ * Reset from the player widget's speed display (middle- or double-click)
+ * Returns false when wheel mode is off, so the widget behaves as usual
+ */
+function resetFromRateDisplay() {
+	if (!state.config.wheelEnabled) return false;
+	runAction('reset');
+	return true;
+}
+
+/**
+ * Called from attachVideoListeners
+ */
+function attachWheelControl(video) {
+	const container = getPlayerContainer(video);
+	if (wheel.containers.has(container)) return;
+
+	wheel.containers.add(container);
+	container.addEventListener('wheel', handleWheel, { capture: true, passive: false });
+}
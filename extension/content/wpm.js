@@ -0,0 +1,204 @@
+/**
+ * Udemy Superlearner - Target WPM Mode
+ * Picks the playback rate that puts the instructor at a target
+ * words-per-minute, estimated from the lecture's captions
+ *
+ * Cues come from the video's caption text tracks, or failing that from
+ * the transcript panel's active cue as it advances (recorded during
+ * playback even with WPM mode off, for replay.js)
+ */
+
+const WPM_TICK_MS = 2000;
+const WPM_MIN_SPAN = 15; // seconds of media needed for an estimate
+const WPM_MIN_WORDS = 20;
+const WPM_SMOOTHING = 0.3;
+const WPM_MAX_PANEL_CUES = 300;
+
+const wpm = {
+	timer: null,
+	video: null,
+	baseWpm: null,
+	smoothedRate: null,
+	attachedAt: 0,
+	panelCues: [],
+	activePanelCue: null
+};
+
+function countWords(text) {
+	const words = text.trim().split(/\s+/);
+	return words[0] ? words.length : 0;
+}
+
+// ============ Cue Sources ============
+
+/**
+ * Pick the caption track to read, preferring the one the user is watching
+ * Disabled tracks are switched to hidden so their cues load without showing
+ */
+function getCaptionTrack(video) {
+	const tracks = [...video.textTracks].filter(t => t.kind === 'captions' || t.kind === 'subtitles');
+	if (tracks.length === 0) return null;
+
+	const lang = document.documentElement.lang?.split('-')[0];
+	const track = tracks.find(t => t.mode === 'showing')
+		|| tracks.find(t => t.mode === 'hidden')
+		|| tracks.find(t => lang && t.language?.startsWith(lang))
+		|| tracks[0];
+
+	if (track.mode === 'disabled') track.mode = 'hidden';
+	return track;
+}
+
+function getTrackCues(video) {
+	const cues = getCaptionTrack(video)?.cues;
+	if (!cues || cues.length === 0) return null;
+
+	return [...cues].map(cue => ({ start: cue.startTime, end: cue.endTime, text: cue.text }));
+}
+
+/**
+ * Record transcript panel cues as the highlighted one advances
+ * The panel has no timestamps, so cue boundaries are taken from media time
+ */
+function trackPanelCue(video) {
+	const active = document.querySelector('[data-purpose="transcript-cue-active"]');
+	const text = active?.textContent.trim();
+	const time = video.currentTime;
+	const current = wpm.activePanelCue;
+
+	if (current && current.text === text) return;
+
+	if (current && time > current.start) {
+		wpm.panelCues.push({ start: current.start, end: time, text: current.text });
+		if (wpm.panelCues.length > WPM_MAX_PANEL_CUES) wpm.panelCues.shift();
+	}
+
+	wpm.activePanelCue = text ? { start: time, text } : null;
+}
+
+// ============ Estimation ============
+
+/**
+ * Instructor words per minute at 1x over the window ending at `time`
+ * Partially covered cues count in proportion to their overlap
+ */
+function estimateWpm(cues, time, windowSeconds) {
+	const windowStart = Math.max(0, time - windowSeconds);
+	const span = time - windowStart;
+	if (span < WPM_MIN_SPAN) return null;
+
+	let words = 0;
+	for (const cue of cues) {
+		const overlap = Math.min(cue.end, time) - Math.max(cue.start, windowStart);
+		if (overlap <= 0 || cue.end <= cue.start) continue;
+		words += countWords(cue.text) * (overlap / (cue.end - cue.start));
+	}
+
+	if (words < WPM_MIN_WORDS) return null;
+	return words / (span / 60);
+}
+
+/**
+ * Toast/popup detail for a rate, e.g. "262 WPM" (null when unknown)
+ */
+function describeWpm(rate) {
+	if (!state.config.wpmEnabled || !wpm.baseWpm) return null;
+	return `${Math.round(wpm.baseWpm * rate)} WPM`;
+}
+
+function getWpmStatus(video) {
+	const rate = video ? getUserRate(video) : null;
+	return {
+		enabled: state.config.wpmEnabled,
+		target: state.config.targetWpm,
+		base: wpm.baseWpm && Math.round(wpm.baseWpm),
+		effective: wpm.baseWpm && rate ? Math.round(wpm.baseWpm * rate) : null,
+		suspended: isWpmSuspended()
+	};
+}
+
+/**
+ * A manual rate change hands control back to the user for this lecture
+ */
+function isWpmSuspended() {
+	return state.manualRateAt > wpm.attachedAt;
+}
+
+// ============ Controller ============
+
+function wpmTick() {
+	const { video } = wpm;
+	const { config } = state;
+	if (!config.wpmEnabled || !video || video.paused) return;
+
+	const cues = getTrackCues(video) || wpm.panelCues;
+	const baseWpm = estimateWpm(cues, video.currentTime, config.wpmWindow);
+	if (!baseWpm) return;
+	wpm.baseWpm = baseWpm;
+
+	if (isWpmSuspended() || isTemporaryRate(video)) return;
+
+	const targetRate = Math.max(config.minRate, Math.min(config.maxRate, config.targetWpm / baseWpm));
+	wpm.smoothedRate = wpm.smoothedRate === null
+		? targetRate
+		: wpm.smoothedRate + WPM_SMOOTHING * (targetRate - wpm.smoothedRate);
+
+	// Only move in whole fine steps so the rate doesn't jitter
+	const step = config.fineIncrement;
+	const rate = Math.round(Math.round(wpm.smoothedRate / step) * step * 100) / 100;
+	if (Math.abs(rate - getUserRate(video)) < step - 0.001) return;
+
+	setPlaybackRate(rate, { source: 'wpm' });
+}
+
+function startWpmMonitor() {
+	if (wpm.timer) return;
+	wpm.timer = setInterval(wpmTick, WPM_TICK_MS);
+}
+
+function stopWpmMonitor() {
+	clearInterval(wpm.timer);
+	wpm.timer = null;
+}
+
+/**
+ * Start over for a new lecture: estimate, manual-change suspension and
+ * the recorded panel cues (timed from the previous lecture's start)
+ */
+function resetWpmState(video) {
+	Object.assign(wpm, {
+		video,
+		baseWpm: null,
+		smoothedRate: null,
+		attachedAt: Date.now(),
+		panelCues: [],
+		activePanelCue: null
+	});
+}
+
+/**
+ * Follow a video's captions (called from attachVideoListeners)
+ */
+function attachWpmMode(video) {
+	if (wpm.video !== video) {
+		stopWpmMonitor();
+		resetWpmState(video);
+	}
+
+	// Panel cues are recorded whether or not WPM mode is on, replay.js
+	// falls back to them too
+	video.addEventListener('timeupdate', () => {
+		if (wpm.video === video) trackPanelCue(video);
+	});
+
+	video.addEventListener('play', startWpmMonitor);
+	video.addEventListener('pause', stopWpmMonitor);
+	video.addEventListener('ended', stopWpmMonitor);
+
+	if (!video.paused) startWpmMonitor();
+}
+
+// The player often keeps the same element across lectures
+onLectureChange(({ video }) => {
+	if (video && video === wpm.video) resetWpmState(video);
+});
@@ -0,0 +1,191 @@
+/**
+ * Udemy Superlearner - Speed Zones (playback)
+ * Applies the current lecture's zones from timeupdate and marks them on
+ * the progress bar. Zones are edited in the popup (shared/zones.js).
+ *
+ * A skip zone the user seeks into on purpose is left alone until
+ * playback leaves it. Inside a rate zone the user's own rate is kept
+ * aside and restored on the way out.
+ */
+
+const speedZones = {
+	video: null,
+	data: getEmptyZones(),
+	activeId: null, // rate zone currently playing
+	userRate: null, // set while a rate zone overrides the user's rate
+	suppressedId: null, // skip zone the user chose to watch
+	seekGestureAt: 0, // last click/key or popup seek, see noteSeekGesture
+	markers: null,
+	observer: null,
+	pending: false
+};
+
+function getCurrentZones(video) {
+	return getEffectiveZones(speedZones.data, state.context, video.duration);
+}
+
+function isInRateZone(video) {
+	return speedZones.userRate !== null && speedZones.video === video;
+}
+
+/**
+ * Replays and rate zones change the rate for a moment - automatic modes
+ * hold off meanwhile
+ */
+function isTemporaryRate(video) {
+	return isReplaying(video) || isInRateZone(video);
+}
+
+async function loadSpeedZones() {
+	speedZones.data = await loadZones();
+	renderZoneMarkers();
+}
+
+// ============ Playback ============
+
+function enterRateZone(video, zone) {
+	speedZones.userRate ??= getUserRate(video);
+	speedZones.activeId = zone.id;
+	applyRate(video, zone.rate);
+	updateRateDisplay(zone.rate);
+	showSpeedToast(zone.rate, 'speed zone', 'zone');
+}
+
+function leaveRateZone(video) {
+	const { userRate } = speedZones;
+	speedZones.activeId = null;
+	speedZones.userRate = null;
+	if (userRate === null) return;
+
+	applyRate(video, userRate);
+	updateRateDisplay(userRate);
+}
+
+/**
+ * Forget a running rate zone because a new rate was just set
+ * (the zone stays active so it isn't re-applied until playback leaves it)
+ */
+function cancelRateZone() {
+	speedZones.userRate = null;
+}
+
+function skipZone(video, zone) {
+	video.currentTime = Math.min(zone.end, video.duration || zone.end);
+
+	const label = zone.id === 'intro' || zone.id === 'outro'
+		? zone.id
+		: `${formatTimestamp(zone.start)}-${formatTimestamp(zone.end)}`;
+	if (state.config.toastEnabled) showToast(`⏭ skipped ${label}`);
+	log(`Skipped zone ${label}`);
+}
+
+function zoneTick(video) {
+	if (speedZones.video !== video || video.seeking) return;
+
+	const time = video.currentTime;
+	const zone = getCurrentZones(video).find(z => time >= z.start && time < z.end);
+
+	if (speedZones.suppressedId && zone?.id !== speedZones.suppressedId) {
+		speedZones.suppressedId = null;
+	}
+
+	if (zone?.action === 'skip' && zone.id !== speedZones.suppressedId) {
+		skipZone(video, zone);
+		return;
+	}
+
+	if (zone?.action === 'rate') {
+		if (speedZones.activeId !== zone.id) enterRateZone(video, zone);
+	} else if (speedZones.activeId) {
+		leaveRateZone(video);
+	}
+}
+
+/**
+ * The next seek is the user's (progress bar, seek keys, popup controls)
+ */
+function noteSeekGesture() {
+	speedZones.seekGestureAt = Date.now();
+}
+
+/**
+ * A user seeking into a skip zone wants to watch it
+ */
+function handleZoneSeek(video) {
+	if (Date.now() - speedZones.seekGestureAt > USER_GESTURE_WINDOW_MS) return;
+
+	const time = video.currentTime;
+	const zone = getCurrentZones(video).find(z => z.action === 'skip' && time >= z.start && time < z.end);
+	speedZones.suppressedId = zone?.id ?? null;
+}
+
+// ============ Progress Bar Markers ============
+
+/**
+ * Draw the zones as ranges over the progress bar
+ */
+function renderZoneMarkers() {
+	const { video } = speedZones;
+	if (!video) return;
+
+	speedZones.markers ??= Object.assign(document.createElement('div'), { className: 'superlearner-zone-markers' });
+
+	const { duration } = video;
+	const zones = Number.isFinite(duration) && duration > 0 ? getCurrentZones(video) : [];
+
+	speedZones.markers.replaceChildren(...zones.map(zone => {
+		const marker = document.createElement('div');
+		marker.className = `sl-zone-marker sl-zone-${zone.action}`;
+		marker.style.left = `${(zone.start / duration) * 100}%`;
+		marker.style.width = `${((Math.min(zone.end, duration) - zone.start) / duration) * 100}%`;
+		return marker;
+	}));
+
+	mountZoneMarkers();
+}
+
+function mountZoneMarkers() {
+	speedZones.pending = false;
+	const { video, markers } = speedZones;
+	if (!video?.isConnected || !markers) return;
+
+	const bar = findProgressBar(video);
+	if (bar && !bar.contains(markers)) bar.appendChild(markers);
+}
+
+function scheduleZoneMarkers() {
+	if (speedZones.pending) return;
+	speedZones.pending = true;
+	requestAnimationFrame(mountZoneMarkers);
+}
+
+/**
+ * Apply zones to a video (called from attachVideoListeners)
+ */
+function attachSpeedZones(video) {
+	speedZones.video = video;
+	speedZones.activeId = null;
+	speedZones.userRate = null;
+	speedZones.suppressedId = null;
+
+	speedZones.observer?.disconnect();
+	speedZones.observer = new MutationObserver(scheduleZoneMarkers);
+	speedZones.observer.observe(getPlayerContainer(video), { childList: true, subtree: true });
+
+	video.addEventListener('timeupdate', () => zoneTick(video));
+	video.addEventListener('seeked', () => handleZoneSeek(video));
+	video.addEventListener('loadedmetadata', () => {
+		if (speedZones.video !== video) return;
+		// New lecture in the same player - its stored rate was just applied
+		speedZones.activeId = null;
+		speedZones.userRate = null;
+		renderZoneMarkers();
+	});
+
+	loadSpeedZones();
+}
+
+// Zones edited in the popup apply straight away
+chrome.storage.onChanged.addListener((changes, area) => {
+	if (area === 'local' && changes[ZONES_KEY]) loadSpeedZones();
+});
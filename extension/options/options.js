@@ -0,0 +1,136 @@
+/**
+ * Udemy Superlearner - Options Page
+ * Full settings form plus JSON import/export, backed by shared/settings.js
+ */
+
+const form = document.getElementById('settingsForm');
+const messages = document.getElementById('messages');
+const savedIndicator = document.getElementById('savedIndicator');
+
+let savedTimeout = null;
+
+/**
+ * Fill the form from a settings object
+ */
+function fillForm({ config }) {
+	for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+		const input = form.elements[key];
+		if (!input) continue;
+
+		if (rule.type === 'boolean') {
+			input.checked = config[key];
+		} else if (rule.type === 'number') {
+			input.value = config[key];
+			input.min = rule.min;
+			input.max = rule.max;
+		} else {
+			input.value = config[key];
+		}
+	}
+}
+
+/**
+ * Read the form back into a config object (unparseable numbers stay
+ * as NaN so validation reports and resets them)
+ */
+function readForm(baseConfig) {
+	const config = { ...baseConfig };
+	for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+		const input = form.elements[key];
+		if (!input) continue;
+		if (rule.type === 'boolean') {
+			config[key] = input.checked;
+		} else {
+			config[key] = rule.type === 'number' ? parseFloat(input.value) : input.value;
+		}
+	}
+	return config;
+}
+
+function showMessages(items) {
+	messages.replaceChildren(...items.map(({ text, type }) => {
+		const item = document.createElement('li');
+		item.textContent = text;
+		if (type) item.className = type;
+		return item;
+	}));
+}
+
+function flashSaved() {
+	savedIndicator.hidden = false;
+	clearTimeout(savedTimeout);
+	savedTimeout = setTimeout(() => {
+		savedIndicator.hidden = true;
+	}, 1500);
+}
+
+/**
+ * Save, show what validation changed and tell open tabs to reload
+ */
+async function applySettings(changes, successMessage, extraWarnings = []) {
+	const { settings, warnings } = await saveSettings(changes);
+	fillForm(settings);
+
+	const items = [...extraWarnings, ...warnings].map(text => ({ text, type: 'warning' }));
+	if (successMessage) items.unshift({ text: successMessage });
+	showMessages(items);
+	flashSaved();
+
+	chrome.runtime.sendMessage({ type: 'CONFIG_UPDATED' }).catch(() => {});
+}
+
+// Writes are retried (shared/storage.js) - tell the user while they fail
+onStorageError((event) => {
+	showMessages(event.ok
+		? [{ text: 'Settings saved.' }]
+		: [{ text: formatStorageNotice(event), type: 'warning' }]);
+});
+
+function downloadFile(filename, content, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============ Event Handlers ============
+
+form.addEventListener('change', async () => {
+	const current = await loadSettings();
+	applySettings({ config: readForm(current.config) });
+});
+
+document.getElementById('exportSettings').addEventListener('click', async () => {
+	const settings = await loadSettings();
+	const date = new Date().toLocaleDateString('en-CA');
+	downloadFile(`superlearner-settings-${date}.json`, exportSettings(settings), 'application/json');
+});
+
+document.getElementById('importSettings').addEventListener('click', () => {
+	document.getElementById('importFile').click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+	const file = e.target.files[0];
+	e.target.value = '';
+	if (!file) return;
+
+	try {
+		const { settings, warnings } = parseSettingsImport(await file.text());
+		await applySettings(settings, `Imported settings from ${file.name}`, warnings);
+	} catch (error) {
+		showMessages([{ text: `Import failed: ${error.message}`, type: 'error' }]);
+	}
+});
+
+document.getElementById('resetSettings').addEventListener('click', () => {
+	if (confirm('Reset all settings, presets and shortcuts to their defaults?')) {
+		applySettings(getDefaultSettings(), 'All settings reset to defaults');
+	}
+});
+
+// ============ Start ============
+
+loadSettings().then(fillForm);
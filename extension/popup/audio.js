@@ -0,0 +1,63 @@
+/**
+ * Udemy Superlearner - Audio Controls
+ * Pitch, volume boost and voice clarity for the active lecture. The page
+ * saves them for its course (see content/audio.js).
+ */
+
+const AUDIO_INPUTS = ['preservePitch', 'audioGain', 'audioClarity'];
+
+function formatGain(gain) {
+	return `${Math.round(gain * 100)}%`;
+}
+
+/**
+ * Show the active tab's audio settings (called from applyTabStatus)
+ */
+function updateAudioDisplay(status) {
+	const settings = status?.audio;
+	for (const id of AUDIO_INPUTS) {
+		document.getElementById(id).disabled = !settings;
+	}
+
+	const scope = document.getElementById('audioScope');
+	if (!settings) {
+		scope.textContent = 'the open lecture';
+		return;
+	}
+
+	scope.textContent = status.context?.courseSlug || 'all courses';
+	document.getElementById('preservePitch').checked = settings.preservePitch;
+	document.getElementById('audioClarity').checked = settings.clarity;
+
+	// Don't move the slider under the user's pointer
+	const gain = document.getElementById('audioGain');
+	if (document.activeElement !== gain) {
+		gain.value = settings.gain;
+		document.getElementById('audioGainValue').textContent = formatGain(settings.gain);
+	}
+}
+
+/**
+ * Setup the audio controls (call once the popup DOM is ready)
+ */
+function setupAudio() {
+	const gain = document.getElementById('audioGain');
+
+	document.getElementById('preservePitch').addEventListener('change', (e) => {
+		postToBackground({ type: 'SET_AUDIO', audio: { preservePitch: e.target.checked } });
+	});
+
+	document.getElementById('audioClarity').addEventListener('change', (e) => {
+		postToBackground({ type: 'SET_AUDIO', audio: { clarity: e.target.checked } });
+	});
+
+	gain.addEventListener('input', () => {
+		document.getElementById('audioGainValue').textContent = formatGain(parseFloat(gain.value));
+	});
+
+	gain.addEventListener('change', () => {
+		postToBackground({ type: 'SET_AUDIO', audio: { gain: parseFloat(gain.value) } });
+	});
+
+	updateAudioDisplay(null);
+}
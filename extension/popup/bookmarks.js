@@ -0,0 +1,168 @@
+/**
+ * Udemy Superlearner - Bookmarks Panel
+ * Lists the bookmarks captured in the player (content/bookmarks.js),
+ * grouped by course. Clicking one jumps to that moment; each course can
+ * be exported as Markdown or JSON.
+ */
+
+/**
+ * Courses with the most recently bookmarked first
+ */
+function sortBookmarkCourses(bookmarks) {
+	const latest = (course) => Math.max(...course.items.map(item => item.createdAt));
+	return Object.entries(bookmarks)
+		.map(([slug, course]) => ({ slug, course }))
+		.sort((a, b) => latest(b.course) - latest(a.course));
+}
+
+// ============ Rendering ============
+
+function renderBookmarks(bookmarks) {
+	const container = document.getElementById('bookmarkCourses');
+	const courses = sortBookmarkCourses(bookmarks);
+
+	if (courses.length === 0) {
+		const empty = document.createElement('p');
+		empty.className = 'stats-empty';
+		const shortcut = currentBindings.bookmark ? `${formatChord(currentBindings.bookmark)} or ` : '';
+		empty.textContent = `Press ${shortcut}🔖 in the player to bookmark a moment.`;
+		container.replaceChildren(empty);
+		return;
+	}
+
+	container.replaceChildren(...courses.map(({ slug, course }) => {
+		const group = document.createElement('div');
+		group.className = 'bookmark-course';
+		group.dataset.course = slug;
+
+		const header = document.createElement('div');
+		header.className = 'bookmark-course-header';
+
+		const title = document.createElement('h3');
+		title.className = 'stats-subtitle';
+		title.textContent = course.title || slug;
+		title.title = slug;
+
+		const actions = document.createElement('div');
+		actions.className = 'stats-actions';
+		actions.append(
+			createExportButton('markdown', 'Markdown'),
+			createExportButton('json', 'JSON')
+		);
+
+		header.append(title, actions);
+
+		const list = document.createElement('ul');
+		list.className = 'bookmark-list';
+		list.append(...course.items.map(item => renderBookmarkItem(item)));
+
+		group.append(header, list);
+		return group;
+	}));
+}
+
+function renderBookmarkItem(item) {
+	const row = document.createElement('li');
+	row.className = 'bookmark-item';
+	row.dataset.id = item.id;
+
+	const open = document.createElement('button');
+	open.className = 'bookmark-open';
+	open.dataset.action = 'open';
+	open.title = 'Go to this moment';
+
+	const time = document.createElement('span');
+	time.className = 'bookmark-time';
+	time.textContent = formatTimestamp(item.time);
+
+	const lecture = document.createElement('span');
+	lecture.className = 'bookmark-lecture';
+	lecture.textContent = item.lectureTitle || `Lecture ${item.lectureId}`;
+
+	open.append(time, lecture);
+
+	if (item.note) {
+		const note = document.createElement('span');
+		note.className = 'bookmark-note';
+		note.textContent = item.note;
+		open.append(note);
+	}
+
+	const remove = createIconButton('remove', '×', 'Delete bookmark', false);
+	row.append(open, remove);
+	return row;
+}
+
+function createExportButton(format, text) {
+	const btn = document.createElement('button');
+	btn.className = 'text-btn';
+	btn.dataset.action = 'export';
+	btn.dataset.format = format;
+	btn.textContent = text;
+	return btn;
+}
+
+// ============ Actions ============
+
+function exportCourseBookmarks(slug, course, format) {
+	const date = new Date().toLocaleDateString('en-CA');
+	if (format === 'markdown') {
+		downloadFile(`${slug}-notes-${date}.md`, bookmarksToMarkdown(slug, course), 'text/markdown');
+	} else {
+		downloadFile(`${slug}-notes-${date}.json`, bookmarksToJson(slug, course), 'application/json');
+	}
+}
+
+async function handleBookmarkClick(event) {
+	const target = event.target.closest('[data-action]');
+	const group = target?.closest('.bookmark-course');
+	if (!group) return;
+
+	const slug = group.dataset.course;
+	const bookmarks = await loadBookmarks();
+	const course = bookmarks[slug];
+	if (!course) return;
+
+	if (target.dataset.action === 'export') {
+		exportCourseBookmarks(slug, course, target.dataset.format);
+		return;
+	}
+
+	const id = target.closest('.bookmark-item').dataset.id;
+	const item = course.items.find(bookmark => bookmark.id === id);
+	if (!item) return;
+
+	if (target.dataset.action === 'open') {
+		postToBackground({
+			type: 'OPEN_BOOKMARK',
+			lectureId: item.lectureId,
+			time: item.time,
+			url: getLectureUrl(course, slug, item)
+		});
+	} else if (target.dataset.action === 'remove') {
+		renderBookmarks(await removeBookmark(slug, id));
+	}
+}
+
+/**
+ * Setup the bookmarks panel (call once the popup DOM is ready)
+ */
+function setupBookmarks() {
+	const section = document.getElementById('bookmarksSection');
+
+	document.getElementById('bookmarksToggle').addEventListener('click', async () => {
+		section.classList.toggle('collapsed');
+		if (!section.classList.contains('collapsed')) {
+			renderBookmarks(await loadBookmarks());
+		}
+	});
+
+	document.getElementById('bookmarkCourses').addEventListener('click', handleBookmarkClick);
+
+	// Bookmarks added in the player while the panel is open
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === 'local' && changes[BOOKMARKS_KEY] && !section.classList.contains('collapsed')) {
+			renderBookmarks(changes[BOOKMARKS_KEY].newValue || {});
+		}
+	});
+}
@@ -0,0 +1,155 @@
+/**
+ * Udemy Superlearner - Keybinding Editor
+ * "Press keys to bind" editor for the popup's shortcut list
+ */
+
+let currentBindings = { ...DEFAULT_KEYBINDINGS };
+let capturingAction = null;
+
+/**
+ * Whether the editor is waiting for a key chord
+ * The popup's own arrow-key shortcuts are paused while it is
+ */
+function isCapturingBinding() {
+	return capturingAction !== null;
+}
+
+async function loadKeybindings() {
+	const settings = await loadSettings();
+	currentBindings = settings.keybindings;
+	return currentBindings;
+}
+
+async function saveKeybindings() {
+	const { settings } = await saveSettings({ keybindings: currentBindings });
+	currentBindings = settings.keybindings;
+	notifyConfigUpdated();
+
+	// The preset grid shows the preset shortcuts
+	renderPresetGrid();
+}
+
+/**
+ * Render the shortcut list and any conflict warnings
+ */
+function renderKeybindings() {
+	const list = document.getElementById('shortcutList');
+	const warnings = document.getElementById('bindingWarnings');
+	const conflicts = findBindingConflicts(currentBindings);
+	const conflicting = new Set(conflicts.flatMap(c => c.actions));
+
+	list.replaceChildren(...KEYBINDING_ACTIONS.map(({ id, label }) => {
+		const row = document.createElement('div');
+		row.className = 'shortcut';
+
+		const btn = document.createElement('button');
+		btn.className = 'binding-btn';
+		btn.dataset.action = id;
+		btn.textContent = capturingAction === id ? 'Press keys…' : formatChord(currentBindings[id]);
+		btn.classList.toggle('capturing', capturingAction === id);
+		btn.classList.toggle('conflict', conflicting.has(id));
+
+		const text = document.createElement('span');
+		text.textContent = label;
+
+		row.append(btn, text);
+		return row;
+	}));
+
+	warnings.replaceChildren(...conflicts.map(conflict => {
+		const item = document.createElement('li');
+		const chord = formatChord(conflict.chord);
+		item.textContent = conflict.type === 'duplicate'
+			? `${chord} is bound to both ${getActionLabel(conflict.actions[0])} and ${getActionLabel(conflict.actions[1])}`
+			: `${chord} overrides Udemy's "${conflict.udemyAction}" shortcut`;
+		return item;
+	}));
+}
+
+function getActionLabel(id) {
+	return KEYBINDING_ACTIONS.find(action => action.id === id)?.label || id;
+}
+
+function startCapture(action) {
+	capturingAction = action;
+	renderKeybindings();
+}
+
+function stopCapture() {
+	capturingAction = null;
+	renderKeybindings();
+}
+
+/**
+ * Handle a keydown while capturing
+ * Esc cancels, Backspace/Delete clears the binding
+ */
+function handleCaptureKey(event) {
+	if (!isCapturingBinding()) return;
+
+	event.preventDefault();
+	event.stopPropagation();
+
+	const noModifiers = !event.ctrlKey && !event.altKey && !event.shiftKey && !event.metaKey;
+	if (event.code === 'Escape' && noModifiers) {
+		stopCapture();
+		return;
+	}
+
+	if ((event.code === 'Backspace' || event.code === 'Delete') && noModifiers) {
+		currentBindings[capturingAction] = null;
+	} else {
+		const chord = chordFromEvent(event);
+		if (!chord) return; // Still holding modifiers
+		currentBindings[capturingAction] = chord;
+	}
+
+	stopCapture();
+	saveKeybindings();
+}
+
+/**
+ * List the browser-level commands (set on chrome://extensions/shortcuts)
+ */
+async function renderBrowserShortcuts() {
+	const commands = await chrome.commands.getAll();
+	const assigned = commands.filter(command => command.shortcut && command.description);
+
+	document.getElementById('browserShortcutList').textContent = assigned.length > 0
+		? assigned.map(command => `${command.shortcut} ${command.description.toLowerCase()}`).join(' · ')
+		: 'none assigned.';
+}
+
+/**
+ * Setup the editor (call once the popup DOM is ready)
+ */
+async function setupKeybindingEditor() {
+	await loadKeybindings();
+	renderKeybindings();
+	renderPresetGrid();
+
+	document.getElementById('shortcutList').addEventListener('click', (e) => {
+		const btn = e.target.closest('.binding-btn');
+		if (!btn) return;
+
+		if (capturingAction === btn.dataset.action) {
+			stopCapture();
+		} else {
+			startCapture(btn.dataset.action);
+		}
+	});
+
+	document.getElementById('resetBindings').addEventListener('click', () => {
+		currentBindings = { ...DEFAULT_KEYBINDINGS };
+		stopCapture();
+		saveKeybindings();
+	});
+
+	renderBrowserShortcuts();
+	document.getElementById('editBrowserShortcuts').addEventListener('click', () => {
+		chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+	});
+
+	// Capture phase so the popup's speed shortcuts never see the chord
+	document.addEventListener('keydown', handleCaptureKey, true);
+}
@@ -0,0 +1,68 @@
+/**
+ * Udemy Superlearner - Now Playing
+ * The active tab's lecture, progress at your speed and transport controls
+ *
+ * The tab only pushes status when the rate or play state changes, so the
+ * popup asks for a fresh one every second while it's open.
+ */
+
+const NOW_PLAYING_POLL_MS = 1000;
+const SEEK_STEP_SECONDS = 10;
+
+/**
+ * Show the lecture (called from applyTabStatus)
+ * No status, or a page without a video, is the "no lecture" state
+ */
+function updateNowPlaying(status) {
+	const hasLecture = Boolean(status && status.time !== null);
+	document.getElementById('nowPlayingEmpty').hidden = hasLecture;
+	document.getElementById('nowPlayingInfo').hidden = !hasLecture;
+	if (!hasLecture) return;
+
+	const { time, duration, rate, paused } = status;
+	document.getElementById('nowPlayingTitle').textContent = status.lectureTitle || 'Untitled lecture';
+	document.getElementById('nowPlayingCourse').textContent = status.courseTitle || status.context?.courseSlug || '';
+
+	const progress = duration ? Math.min(1, time / duration) : 0;
+	document.getElementById('nowPlayingFill').style.width = `${(progress * 100).toFixed(1)}%`;
+	document.getElementById('nowPlayingBar').setAttribute('aria-valuenow', Math.round(progress * 100));
+
+	// Times at the effective rate: what the lecture really takes you
+	document.getElementById('nowPlayingTime').textContent = duration
+		? `${formatTimestamp(time / rate)} / ${formatTimestamp(duration / rate)}`
+		: formatTimestamp(time / rate);
+	document.getElementById('nowPlayingLeft').textContent = duration
+		? `${formatTimestamp(Math.max(0, duration - time) / rate)} left at ${formatRate(rate)}x`
+		: '';
+
+	const playPause = document.getElementById('playPause');
+	const label = paused ? 'Play' : 'Pause';
+	playPause.textContent = paused ? '▶' : '❚❚';
+	playPause.title = label;
+	playPause.setAttribute('aria-label', label);
+
+	document.getElementById('nextLecture').disabled = !status.canGoNext;
+}
+
+/**
+ * Setup the transport controls (call once the popup DOM is ready)
+ */
+function setupNowPlaying() {
+	document.getElementById('playPause').addEventListener('click', () => {
+		postToBackground({ type: 'TOGGLE_PLAY' });
+	});
+
+	document.getElementById('seekBack').addEventListener('click', () => {
+		postToBackground({ type: 'SEEK_BY', seconds: -SEEK_STEP_SECONDS });
+	});
+
+	document.getElementById('seekForward').addEventListener('click', () => {
+		postToBackground({ type: 'SEEK_BY', seconds: SEEK_STEP_SECONDS });
+	});
+
+	document.getElementById('nextLecture').addEventListener('click', () => {
+		postToBackground({ type: 'NEXT_LECTURE' });
+	});
+
+	setInterval(() => postToBackground({ type: 'GET_STATUS' }), NOW_PLAYING_POLL_MS);
+}
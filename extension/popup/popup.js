@@ -2,16 +2,19 @@
  * Udemy Superlearner - Popup Script
  */
 
-const DEFAULT_CONFIG = {
-	minRate: 0.5,
-	maxRate: 3.0,
-	fineIncrement: 0.05,
-	coarseIncrement: 0.25,
-	defaultRate: 1.0
+const PROFILE_LABELS = {
+	lecture: 'Lecture',
+	course: 'Course',
+	instructor: 'Instructor',
+	global: 'Global'
 };
 
 let currentConfig = { ...DEFAULT_CONFIG };
 let currentRate = 1.0;
+let currentProfile = { level: 'global', context: null };
+let currentWpm = null;
+let backgroundPort = null;
+let isDraggingSlider = false;
 
 // DOM Elements
 const elements = {
@@ -20,12 +23,30 @@ const elements = {
 	decreaseBtn: document.getElementById('decreaseBtn'),
 	increaseBtn: document.getElementById('increaseBtn'),
 	presetGrid: document.getElementById('presetGrid'),
+	profileLevel: document.getElementById('profileLevel'),
+	profileKey: document.getElementById('profileKey'),
+	profileLevels: document.getElementById('profileLevels'),
 	settingsToggle: document.getElementById('settingsToggle'),
 	settingsSection: document.getElementById('settingsSection'),
 	fineIncrement: document.getElementById('fineIncrement'),
 	coarseIncrement: document.getElementById('coarseIncrement'),
 	minRate: document.getElementById('minRate'),
-	maxRate: document.getElementById('maxRate')
+	maxRate: document.getElementById('maxRate'),
+	syncTabs: document.getElementById('syncTabs'),
+	wheelEnabled: document.getElementById('wheelEnabled'),
+	wpmStatus: document.getElementById('wpmStatus'),
+	wpmEnabled: document.getElementById('wpmEnabled'),
+	targetWpm: document.getElementById('targetWpm'),
+	trainingStatus: document.getElementById('trainingStatus'),
+	trainingText: document.getElementById('trainingText'),
+	trainingFill: document.getElementById('trainingFill'),
+	trainingEnabled: document.getElementById('trainingEnabled'),
+	silenceSkipEnabled: document.getElementById('silenceSkipEnabled'),
+	silenceThreshold: document.getElementById('silenceThreshold'),
+	silenceMinDuration: document.getElementById('silenceMinDuration'),
+	silenceSpeed: document.getElementById('silenceSpeed'),
+	silenceSaved: document.getElementById('silenceSaved'),
+	silenceSavedValue: document.getElementById('silenceSavedValue')
 };
 
 /**
@@ -36,6 +57,82 @@ function formatRate(rate) {
 	return rounded % 0.1 === 0 ? rounded.toFixed(1) : rounded.toFixed(2);
 }
 
+/**
+ * Format a duration in seconds, e.g. "1h 05m", "3m 12s", "45s"
+ */
+function formatDuration(seconds) {
+	const total = Math.round(seconds);
+	const h = Math.floor(total / 3600);
+	const m = Math.floor((total % 3600) / 60);
+	const s = total % 60;
+	
+	if (h > 0) return `${h}h ${String(m).padStart(2, '0')}m`;
+	if (m > 0) return `${m}m ${String(s).padStart(2, '0')}s`;
+	return `${s}s`;
+}
+
+/**
+ * Show the effective WPM and the instructor's 1x WPM in WPM mode
+ */
+function updateWpmDisplay(status) {
+	currentWpm = status;
+	const show = currentConfig.wpmEnabled && status;
+	elements.wpmStatus.hidden = !show;
+	if (!show) return;
+	
+	if (!status.base) {
+		elements.wpmStatus.textContent = `Target ${status.target} WPM · waiting for captions`;
+		return;
+	}
+	
+	const effective = document.createElement('strong');
+	effective.textContent = `${status.effective} WPM`;
+	const note = status.suspended ? ' · paused after manual change' : '';
+	elements.wpmStatus.replaceChildren(
+		effective,
+		` at ${formatRate(currentRate)}x · instructor ${status.base} WPM at 1x${note}`
+	);
+}
+
+/**
+ * Show speed training progress from the start rate to the ceiling
+ */
+function updateTrainingDisplay(status) {
+	const show = Boolean(status?.enabled && status.rate);
+	elements.trainingStatus.hidden = !show;
+	if (!show) return;
+	
+	const { rate, startRate, ceiling, nextStepIn, comfortableMax } = status;
+	const span = ceiling - startRate;
+	const progress = span > 0 ? (rate - startRate) / span : 1;
+	elements.trainingFill.style.width = `${Math.round(Math.max(0, Math.min(1, progress)) * 100)}%`;
+	
+	const current = document.createElement('strong');
+	current.textContent = `${formatRate(rate)}x`;
+	const next = rate >= ceiling
+		? 'ceiling reached'
+		: `next step in ${formatDuration(nextStepIn)}`;
+	const best = comfortableMax ? ` · best ${formatRate(comfortableMax)}x` : '';
+	elements.trainingText.replaceChildren(
+		'🏋 ',
+		current,
+		` → ${formatRate(ceiling)}x · ${next}${best}`
+	);
+}
+
+/**
+ * Show the running "time saved by silence skipping" counter
+ */
+function updateSilenceSaved(seconds) {
+	elements.silenceSavedValue.textContent = formatDuration(seconds);
+	elements.silenceSaved.hidden = !currentConfig.silenceSkipEnabled && seconds < 1;
+}
+
+async function loadSilenceSaved() {
+	const data = await storageGet({ udemy_silence_saved: 0 });
+	updateSilenceSaved(data.udemy_silence_saved);
+}
+
 /**
  * Update the UI to reflect current speed
  */
@@ -60,62 +157,125 @@ function updateSpeedDisplay(rate, animate = true) {
 }
 
 /**
- * Send rate to content script
+ * Update the profile section to show where the active rate comes from
+ */
+function updateProfileDisplay(profile) {
+	currentProfile = profile;
+	const { level, context } = profile;
+	
+	elements.profileLevel.textContent = PROFILE_LABELS[level];
+	elements.profileKey.textContent = level === 'global' ? '' : getProfileKey(level, context);
+	
+	elements.profileLevels.querySelectorAll('.profile-btn').forEach(btn => {
+		const btnLevel = btn.dataset.level;
+		btn.classList.toggle('active', btnLevel === level);
+		btn.disabled = btnLevel !== 'global' && !getProfileKey(btnLevel, context);
+	});
+}
+
+function getProfileKey(level, context) {
+	if (!context) return null;
+	if (level === 'lecture') return context.lectureId && `Lecture ${context.lectureId}`;
+	if (level === 'course') return context.courseSlug;
+	if (level === 'instructor') return context.instructor;
+	return null;
+}
+
+/**
+ * Send a message to the service worker over the popup's port
+ * Commands go to the active lecture, live status comes back (see below)
  */
-async function setRate(rate) {
+function postToBackground(message) {
+	if (!backgroundPort) {
+		backgroundPort = chrome.runtime.connect({ name: 'popup' });
+		backgroundPort.onMessage.addListener(handleBackgroundMessage);
+		backgroundPort.onDisconnect.addListener(() => {
+			backgroundPort = null;
+		});
+	}
+	backgroundPort.postMessage(message);
+}
+
+function handleBackgroundMessage(message) {
+	if (message.type === 'STATUS') {
+		applyTabStatus(message.status);
+	}
+}
+
+/**
+ * Show the active tab's real rate, profile level and WPM
+ * status is null when the active tab has no lecture
+ */
+function applyTabStatus(status) {
+	if (!status) {
+		updateProfileDisplay({ level: 'global', context: null });
+		updateWpmDisplay(null);
+		updateTrainingDisplay(null);
+		updateZonesContext(null);
+		updateAudioDisplay(null);
+		updateNowPlaying(null);
+		return;
+	}
+	
+	if (!isDraggingSlider) {
+		updateSpeedDisplay(status.rate, Math.abs(status.rate - currentRate) >= 0.001);
+	}
+	updateProfileDisplay({ level: status.level, context: status.context });
+	updateWpmDisplay(status.wpm);
+	updateTrainingDisplay(status.training);
+	updateZonesContext(status);
+	updateAudioDisplay(status);
+	updateNowPlaying(status);
+}
+
+/**
+ * Send rate to the active lecture
+ * The content script saves it at the active profile level; with no
+ * lecture open the service worker updates the global default
+ */
+function setRate(rate) {
 	// Clamp rate
 	rate = Math.max(currentConfig.minRate, Math.min(currentConfig.maxRate, rate));
 	rate = Math.round(rate * 100) / 100;
 	
-	// Save to storage
-	await chrome.storage.sync.set({ udemy_playback_rate: rate });
-	
 	// Update UI
 	updateSpeedDisplay(rate);
 	
-	// Send to active tab
-	try {
-		const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-		if (tab?.url?.includes('udemy.com')) {
-			chrome.tabs.sendMessage(tab.id, { type: 'SET_RATE', rate });
-		}
-	} catch (e) {
-		// Tab might not have content script loaded
-		console.log('Could not send to tab:', e);
-	}
+	postToBackground({ type: 'SET_RATE', rate });
+}
+
+/**
+ * Pin the current rate at a profile level, or unpin it if already active
+ */
+function toggleProfileLevel(level) {
+	const unpin = level === currentProfile.level && level !== 'global';
+	postToBackground({ type: unpin ? 'UNPIN_RATE' : 'PIN_RATE', level });
 }
 
 /**
  * Load configuration from storage
  */
 async function loadConfig() {
-	return new Promise((resolve) => {
-		chrome.storage.sync.get({
-			udemy_config: DEFAULT_CONFIG,
-			udemy_playback_rate: 1.0
-		}, (data) => {
-			currentConfig = { ...DEFAULT_CONFIG, ...data.udemy_config };
-			currentRate = data.udemy_playback_rate;
-			resolve();
-		});
-	});
+	const settings = await loadSettings();
+	const { udemy_playback_rate } = await storageGet({ udemy_playback_rate: settings.config.defaultRate });
+	currentConfig = settings.config;
+	currentRate = udemy_playback_rate;
 }
 
 /**
- * Save configuration to storage
+ * Save configuration to storage (validated by the settings module)
  */
 async function saveConfig() {
-	await chrome.storage.sync.set({ udemy_config: currentConfig });
-	
-	// Notify content script
-	try {
-		const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-		if (tab?.url?.includes('udemy.com')) {
-			chrome.tabs.sendMessage(tab.id, { type: 'CONFIG_UPDATED' });
-		}
-	} catch (e) {
-		console.log('Could not notify tab:', e);
-	}
+	const { settings } = await saveSettings({ config: currentConfig });
+	currentConfig = settings.config;
+	notifyConfigUpdated();
+}
+
+/**
+ * Tell every Udemy tab to reload its configuration
+ */
+function notifyConfigUpdated() {
+	postToBackground({ type: 'CONFIG_UPDATED' });
 }
 
 /**
@@ -126,6 +286,15 @@ function initializeSettings() {
 	elements.coarseIncrement.value = currentConfig.coarseIncrement;
 	elements.minRate.value = currentConfig.minRate;
 	elements.maxRate.value = currentConfig.maxRate;
+	elements.syncTabs.checked = currentConfig.syncTabs;
+	elements.wheelEnabled.checked = currentConfig.wheelEnabled;
+	elements.wpmEnabled.checked = currentConfig.wpmEnabled;
+	elements.targetWpm.value = currentConfig.targetWpm;
+	elements.trainingEnabled.checked = currentConfig.trainingEnabled;
+	elements.silenceSkipEnabled.checked = currentConfig.silenceSkipEnabled;
+	elements.silenceThreshold.value = currentConfig.silenceThreshold;
+	elements.silenceMinDuration.value = currentConfig.silenceMinDuration;
+	elements.silenceSpeed.value = currentConfig.silenceSpeed;
 	
 	// Update slider bounds
 	elements.speedSlider.min = currentConfig.minRate;
@@ -150,11 +319,13 @@ function setupEventListeners() {
 	// Slider
 	elements.speedSlider.addEventListener('input', (e) => {
 		const rate = parseFloat(e.target.value);
+		isDraggingSlider = true;
 		updateSpeedDisplay(rate, false);
 	});
 	
 	elements.speedSlider.addEventListener('change', (e) => {
 		const rate = parseFloat(e.target.value);
+		isDraggingSlider = false;
 		setRate(rate);
 	});
 	
@@ -167,11 +338,23 @@ function setupEventListeners() {
 		}
 	});
 	
+	// Profile levels
+	elements.profileLevels.addEventListener('click', (e) => {
+		const btn = e.target.closest('.profile-btn');
+		if (btn && !btn.disabled) {
+			toggleProfileLevel(btn.dataset.level);
+		}
+	});
+	
 	// Settings toggle
 	elements.settingsToggle.addEventListener('click', () => {
 		elements.settingsSection.classList.toggle('collapsed');
 	});
 	
+	document.getElementById('openOptions').addEventListener('click', () => {
+		chrome.runtime.openOptionsPage();
+	});
+	
 	// Settings changes
 	elements.fineIncrement.addEventListener('change', (e) => {
 		currentConfig.fineIncrement = parseFloat(e.target.value);
@@ -196,8 +379,62 @@ function setupEventListeners() {
 		saveConfig();
 	});
 	
+	elements.syncTabs.addEventListener('change', (e) => {
+		currentConfig.syncTabs = e.target.checked;
+		saveConfig();
+	});
+	
+	elements.wheelEnabled.addEventListener('change', (e) => {
+		currentConfig.wheelEnabled = e.target.checked;
+		saveConfig();
+	});
+	
+	// Target WPM mode
+	elements.wpmEnabled.addEventListener('change', (e) => {
+		currentConfig.wpmEnabled = e.target.checked;
+		updateWpmDisplay(currentWpm && { ...currentWpm, enabled: e.target.checked });
+		saveConfig();
+	});
+	
+	elements.targetWpm.addEventListener('change', (e) => {
+		currentConfig.targetWpm = parseFloat(e.target.value);
+		updateWpmDisplay(currentWpm && { ...currentWpm, target: currentConfig.targetWpm });
+		saveConfig();
+	});
+	
+	// Speed training (the tab reports its status once it starts)
+	elements.trainingEnabled.addEventListener('change', (e) => {
+		currentConfig.trainingEnabled = e.target.checked;
+		if (!e.target.checked) updateTrainingDisplay(null);
+		saveConfig();
+	});
+	
+	// Silence skipping
+	elements.silenceSkipEnabled.addEventListener('change', (e) => {
+		currentConfig.silenceSkipEnabled = e.target.checked;
+		loadSilenceSaved();
+		saveConfig();
+	});
+	
+	for (const key of ['silenceThreshold', 'silenceMinDuration', 'silenceSpeed']) {
+		elements[key].addEventListener('change', (e) => {
+			currentConfig[key] = parseFloat(e.target.value);
+			saveConfig();
+		});
+	}
+	
+	// Live time-saved counter
+	chrome.storage.onChanged.addListener((changes, area) => {
+		if (area === 'local' && changes.udemy_silence_saved) {
+			updateSilenceSaved(changes.udemy_silence_saved.newValue || 0);
+		}
+	});
+	
 	// Keyboard shortcuts in popup
 	document.addEventListener('keydown', (e) => {
+		// Leave arrow keys alone while editing preset fields
+		if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
+		
 		if (e.key === 'ArrowRight') {
 			e.preventDefault();
 			const increment = e.ctrlKey ? currentConfig.coarseIncrement : currentConfig.fineIncrement;
@@ -211,14 +448,40 @@ function setupEventListeners() {
 	});
 }
 
+/**
+ * Writes are batched and retried (shared/storage.js) - surface failures
+ */
+function setupStorageNotice() {
+	const notice = document.getElementById('storageNotice');
+	onStorageError((event) => {
+		notice.hidden = event.ok;
+		notice.textContent = event.ok ? '' : formatStorageNotice(event);
+	});
+}
+
 /**
  * Initialize popup
  */
 async function init() {
+	setupStorageNotice();
 	await loadConfig();
 	initializeSettings();
 	updateSpeedDisplay(currentRate, false);
+	updateProfileDisplay(currentProfile);
+	updateWpmDisplay(currentWpm);
+	loadSilenceSaved();
 	setupEventListeners();
+	setupKeybindingEditor();
+	setupPresetEditor();
+	setupStats();
+	setupBookmarks();
+	setupZones();
+	setupAudio();
+	setupNowPlaying();
+	setupSites();
+	
+	// Live status from the active tab
+	postToBackground({ type: 'GET_STATUS' });
 }
 
 // Start
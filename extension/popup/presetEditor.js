@@ -0,0 +1,179 @@
+/**
+ * Udemy Superlearner - Preset Editor
+ * Renders the preset grid from storage and lets the user add, remove,
+ * reorder and label presets. The first nine follow the preset shortcuts
+ * (Shift + 1-9 unless remapped).
+ */
+
+let currentPresets = normalizePresets(DEFAULT_PRESETS);
+
+async function loadPresets() {
+	const settings = await loadSettings();
+	currentPresets = settings.presets;
+	return currentPresets;
+}
+
+async function savePresets() {
+	const { settings } = await saveSettings({ presets: currentPresets });
+	currentPresets = settings.presets;
+	notifyConfigUpdated();
+}
+
+/**
+ * Render the quick preset grid
+ */
+function renderPresetGrid() {
+	elements.presetGrid.replaceChildren(...currentPresets.map(({ rate, label }, index) => {
+		const btn = document.createElement('button');
+		btn.className = 'preset-btn';
+		btn.dataset.speed = rate;
+		btn.textContent = `${formatRate(rate)}x`;
+		btn.title = formatPresetChord(currentBindings, index) || '';
+
+		if (label) {
+			const labelEl = document.createElement('span');
+			labelEl.className = 'preset-label';
+			labelEl.textContent = label;
+			btn.append(labelEl);
+		}
+
+		btn.classList.toggle('active', Math.abs(rate - currentRate) < 0.001);
+		return btn;
+	}));
+}
+
+/**
+ * Render the editable preset list
+ */
+function renderPresetList() {
+	const list = document.getElementById('presetList');
+
+	list.replaceChildren(...currentPresets.map(({ rate, label }, index) => {
+		const row = document.createElement('li');
+		row.className = 'preset-row';
+		row.dataset.index = index;
+
+		const indexEl = document.createElement('span');
+		indexEl.className = 'preset-index';
+		indexEl.textContent = index < 9 ? index + 1 : '';
+
+		const rateInput = document.createElement('input');
+		rateInput.type = 'number';
+		rateInput.className = 'preset-rate';
+		rateInput.min = currentConfig.minRate;
+		rateInput.max = currentConfig.maxRate;
+		rateInput.step = 0.05;
+		rateInput.value = rate;
+		rateInput.setAttribute('aria-label', `Preset ${index + 1} speed`);
+
+		const labelInput = document.createElement('input');
+		labelInput.type = 'text';
+		labelInput.className = 'preset-label-input';
+		labelInput.placeholder = 'Label (optional)';
+		labelInput.maxLength = 24;
+		labelInput.value = label;
+		labelInput.setAttribute('aria-label', `Preset ${index + 1} label`);
+
+		row.append(
+			indexEl,
+			rateInput,
+			labelInput,
+			createIconButton('up', '↑', 'Move up', index === 0),
+			createIconButton('down', '↓', 'Move down', index === currentPresets.length - 1),
+			createIconButton('remove', '×', 'Remove', currentPresets.length <= 1)
+		);
+		return row;
+	}));
+
+	document.getElementById('addPreset').disabled = currentPresets.length >= MAX_PRESETS;
+}
+
+function createIconButton(action, text, title, disabled) {
+	const btn = document.createElement('button');
+	btn.className = 'icon-btn';
+	btn.dataset.action = action;
+	btn.textContent = text;
+	btn.title = title;
+	btn.disabled = disabled;
+	return btn;
+}
+
+function renderPresets() {
+	renderPresetGrid();
+	renderPresetList();
+}
+
+async function updatePresets(presets) {
+	currentPresets = presets;
+	await savePresets();
+	renderPresets();
+}
+
+/**
+ * Clamp a typed rate to the configured speed range
+ */
+function parsePresetRate(value) {
+	const rate = parseFloat(value);
+	if (!Number.isFinite(rate)) return null;
+	return Math.max(currentConfig.minRate, Math.min(currentConfig.maxRate, rate));
+}
+
+/**
+ * Setup the editor (call once the popup DOM is ready)
+ */
+async function setupPresetEditor() {
+	await loadPresets();
+	renderPresets();
+
+	const section = document.getElementById('presetsSection');
+	const list = document.getElementById('presetList');
+
+	document.getElementById('editPresets').addEventListener('click', (e) => {
+		const editing = section.classList.toggle('editing');
+		e.target.textContent = editing ? 'Done' : 'Edit';
+	});
+
+	list.addEventListener('change', (e) => {
+		const index = parseInt(e.target.closest('.preset-row').dataset.index);
+		const presets = currentPresets.map(p => ({ ...p }));
+
+		if (e.target.classList.contains('preset-rate')) {
+			const rate = parsePresetRate(e.target.value);
+			if (rate === null) {
+				e.target.value = presets[index].rate;
+				return;
+			}
+			presets[index].rate = rate;
+		} else {
+			presets[index].label = e.target.value;
+		}
+
+		updatePresets(presets);
+	});
+
+	list.addEventListener('click', (e) => {
+		const btn = e.target.closest('.icon-btn');
+		if (!btn) return;
+
+		const index = parseInt(btn.closest('.preset-row').dataset.index);
+		const presets = [...currentPresets];
+
+		if (btn.dataset.action === 'remove') {
+			presets.splice(index, 1);
+		} else {
+			const target = btn.dataset.action === 'up' ? index - 1 : index + 1;
+			[presets[index], presets[target]] = [presets[target], presets[index]];
+		}
+
+		updatePresets(presets);
+	});
+
+	document.getElementById('addPreset').addEventListener('click', () => {
+		if (currentPresets.length >= MAX_PRESETS) return;
+		updatePresets([...currentPresets, { rate: currentRate, label: '' }]);
+	});
+
+	document.getElementById('resetPresets').addEventListener('click', () => {
+		updatePresets(normalizePresets(DEFAULT_PRESETS));
+	});
+}
@@ -0,0 +1,96 @@
+/**
+ * Udemy Superlearner - Other Sites
+ * Enables Coursera, LinkedIn Learning and company Udemy Business domains
+ * by requesting optional host permissions. The service worker registers
+ * the content script once a permission is granted.
+ *
+ * chrome.permissions.request must run straight from the click, so the
+ * handlers below call it before awaiting anything.
+ */
+
+function getBuiltInPatterns() {
+	return chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+}
+
+async function renderSites() {
+	const { origins = [] } = await chrome.permissions.getAll();
+	const granted = new Set(origins);
+
+	document.getElementById('siteToggles').replaceChildren(...OPTIONAL_SITES.map(site => {
+		const row = document.createElement('div');
+		row.className = 'setting-row';
+
+		const label = document.createElement('label');
+		label.htmlFor = `site-${site.id}`;
+		label.textContent = site.name;
+
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.id = `site-${site.id}`;
+		checkbox.dataset.site = site.id;
+		checkbox.checked = site.origins.every(origin => granted.has(origin));
+
+		row.append(label, checkbox);
+		return row;
+	}));
+
+	const list = document.getElementById('customDomainList');
+	const custom = getCustomDomainPatterns(origins, getBuiltInPatterns());
+
+	list.replaceChildren(...custom.map(pattern => {
+		const row = document.createElement('li');
+		row.className = 'preset-row';
+		row.dataset.origin = pattern;
+
+		const name = document.createElement('span');
+		name.className = 'site-domain';
+		name.textContent = new URL(pattern.replace('/*', '/')).hostname;
+
+		row.append(name, createIconButton('remove', '×', 'Remove', false));
+		return row;
+	}));
+}
+
+function updateSitePermission(origins, enabled) {
+	const request = enabled
+		? chrome.permissions.request({ origins })
+		: chrome.permissions.remove({ origins });
+
+	// Re-render from the actual permissions whether or not it was granted
+	return request.catch(() => false).finally(renderSites);
+}
+
+/**
+ * Setup the sites panel (call once the popup DOM is ready)
+ */
+function setupSites() {
+	const section = document.getElementById('sitesSection');
+	const input = document.getElementById('customDomain');
+
+	document.getElementById('sitesToggle').addEventListener('click', () => {
+		section.classList.toggle('collapsed');
+		if (!section.classList.contains('collapsed')) renderSites();
+	});
+
+	document.getElementById('siteToggles').addEventListener('change', (e) => {
+		const site = OPTIONAL_SITES.find(s => s.id === e.target.dataset.site);
+		if (site) updateSitePermission(site.origins, e.target.checked);
+	});
+
+	document.getElementById('customDomainForm').addEventListener('submit', (e) => {
+		e.preventDefault();
+		const pattern = getDomainPattern(input.value);
+		if (!pattern) {
+			input.select();
+			return;
+		}
+		input.value = '';
+		updateSitePermission([pattern], true);
+	});
+
+	document.getElementById('customDomainList').addEventListener('click', (e) => {
+		const btn = e.target.closest('.icon-btn');
+		if (!btn) return;
+		updateSitePermission([btn.closest('.preset-row').dataset.origin], false);
+	});
+}
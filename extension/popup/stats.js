@@ -0,0 +1,187 @@
+/**
+ * Udemy Superlearner - Learning Stats
+ * Summarises the watch sessions logged by the content script
+ * (content/analytics.js) and exports them as CSV or JSON
+ */
+
+const STATS_WEEK_DAYS = 7;
+
+async function loadStats() {
+	return storageGet({ udemy_sessions: [], udemy_stats_daily: {} });
+}
+
+function sumStats(entries) {
+	return entries.reduce((total, entry) => ({
+		mediaSeconds: total.mediaSeconds + entry.mediaSeconds,
+		wallSeconds: total.wallSeconds + entry.wallSeconds
+	}), { mediaSeconds: 0, wallSeconds: 0 });
+}
+
+function averageRate({ mediaSeconds, wallSeconds }) {
+	return wallSeconds > 0 ? mediaSeconds / wallSeconds : 0;
+}
+
+/**
+ * Last N days (oldest first), including days with no watching
+ */
+function getRecentDays(daily, count = STATS_WEEK_DAYS) {
+	const days = [];
+	for (let i = count - 1; i >= 0; i--) {
+		const date = new Date();
+		date.setDate(date.getDate() - i);
+		const key = date.toLocaleDateString('en-CA');
+		days.push({
+			key,
+			label: date.toLocaleDateString(undefined, { weekday: 'short' }).slice(0, 2),
+			...(daily[key] || { mediaSeconds: 0, wallSeconds: 0 })
+		});
+	}
+	return days;
+}
+
+function getCourseTotals(daily) {
+	const courses = {};
+	for (const day of Object.values(daily)) {
+		for (const [slug, stats] of Object.entries(day.courses || {})) {
+			courses[slug] = sumStats([courses[slug] || { mediaSeconds: 0, wallSeconds: 0 }, stats]);
+		}
+	}
+
+	return Object.entries(courses)
+		.map(([slug, stats]) => ({ slug, ...stats }))
+		.sort((a, b) => b.wallSeconds - a.wallSeconds);
+}
+
+// ============ Rendering ============
+
+function renderStats({ udemy_stats_daily: daily }) {
+	const totals = sumStats(Object.values(daily));
+
+	document.getElementById('statSaved').textContent = formatDuration(Math.max(0, totals.mediaSeconds - totals.wallSeconds));
+	document.getElementById('statWatched').textContent = formatDuration(totals.wallSeconds);
+	document.getElementById('statAvgRate').textContent = `${formatRate(averageRate(totals) || 1)}x`;
+
+	renderWeekChart(getRecentDays(daily));
+	renderCourseStats(getCourseTotals(daily));
+}
+
+/**
+ * Bars show time spent per day, the label above each bar is the average speed
+ */
+function renderWeekChart(days) {
+	const maxSeconds = Math.max(...days.map(day => day.wallSeconds), 1);
+
+	document.getElementById('weekChart').replaceChildren(...days.map(day => {
+		const column = document.createElement('div');
+		column.className = 'week-day';
+		column.title = `${day.key}: ${formatDuration(day.wallSeconds)} spent, ` +
+			`${formatDuration(Math.max(0, day.mediaSeconds - day.wallSeconds))} saved`;
+
+		const rate = document.createElement('span');
+		rate.className = 'week-rate';
+		rate.textContent = day.wallSeconds > 0 ? `${formatRate(averageRate(day))}x` : '';
+
+		const bar = document.createElement('div');
+		bar.className = 'week-bar';
+		bar.style.height = `${(day.wallSeconds / maxSeconds) * 60}px`;
+
+		const label = document.createElement('span');
+		label.className = 'week-label';
+		label.textContent = day.label;
+
+		column.append(rate, bar, label);
+		return column;
+	}));
+}
+
+function renderCourseStats(courses) {
+	const list = document.getElementById('courseStats');
+
+	if (courses.length === 0) {
+		const empty = document.createElement('li');
+		empty.className = 'stats-empty';
+		empty.textContent = 'Watch a lecture to start tracking.';
+		list.replaceChildren(empty);
+		return;
+	}
+
+	list.replaceChildren(...courses.map(course => {
+		const item = document.createElement('li');
+
+		const name = document.createElement('span');
+		name.className = 'course-name';
+		name.textContent = course.slug;
+		name.title = course.slug;
+
+		const saved = document.createElement('span');
+		saved.className = 'course-saved';
+		saved.textContent = `${formatDuration(course.wallSeconds)} · ` +
+			`${formatDuration(Math.max(0, course.mediaSeconds - course.wallSeconds))} saved`;
+
+		item.append(name, saved);
+		return item;
+	}));
+}
+
+// ============ Export ============
+
+function downloadFile(filename, content, type) {
+	const url = URL.createObjectURL(new Blob([content], { type }));
+	const link = document.createElement('a');
+	link.href = url;
+	link.download = filename;
+	link.click();
+	setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function csvEscape(value) {
+	const text = String(value ?? '');
+	return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function exportStatsCsv({ udemy_sessions: sessions }) {
+	const header = ['date', 'started_at', 'course', 'lecture_id', 'media_seconds', 'wall_seconds', 'avg_rate', 'saved_seconds'];
+	const rows = sessions.map(s => [
+		s.date,
+		new Date(s.startedAt).toISOString(),
+		s.courseSlug,
+		s.lectureId,
+		s.mediaSeconds.toFixed(1),
+		s.wallSeconds.toFixed(1),
+		s.avgRate.toFixed(2),
+		Math.max(0, s.mediaSeconds - s.wallSeconds).toFixed(1)
+	]);
+
+	const csv = [header, ...rows].map(row => row.map(csvEscape).join(',')).join('\n');
+	downloadFile(`superlearner-sessions-${new Date().toLocaleDateString('en-CA')}.csv`, csv, 'text/csv');
+}
+
+function exportStatsJson(data) {
+	const json = JSON.stringify({
+		exportedAt: new Date().toISOString(),
+		sessions: data.udemy_sessions,
+		daily: data.udemy_stats_daily
+	}, null, '\t');
+	downloadFile(`superlearner-stats-${new Date().toLocaleDateString('en-CA')}.json`, json, 'application/json');
+}
+
+/**
+ * Setup the stats view (call once the popup DOM is ready)
+ */
+async function setupStats() {
+	document.getElementById('statsToggle').addEventListener('click', async () => {
+		const section = document.getElementById('statsSection');
+		section.classList.toggle('collapsed');
+		if (!section.classList.contains('collapsed')) {
+			renderStats(await loadStats());
+		}
+	});
+
+	document.getElementById('exportCsv').addEventListener('click', async () => {
+		exportStatsCsv(await loadStats());
+	});
+
+	document.getElementById('exportJson').addEventListener('click', async () => {
+		exportStatsJson(await loadStats());
+	});
+}
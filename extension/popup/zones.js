@@ -0,0 +1,200 @@
+/**
+ * Udemy Superlearner - Speed Zones Editor
+ * Edits the skip / speed zones of the lecture open in the active tab and
+ * its course's intro/outro skip. The page applies changes straight away.
+ */
+
+const NEW_ZONE_SECONDS = 15;
+
+let zoneContext = null; // { lectureId, courseSlug, time, duration } of the active tab
+let currentZones = [];
+let pendingZoneAdd = false;
+
+/**
+ * Follow the active tab's lecture (called from applyTabStatus)
+ */
+function updateZonesContext(status) {
+	const lectureId = status?.context?.lectureId || null;
+	const changed = lectureId !== zoneContext?.lectureId;
+
+	zoneContext = lectureId
+		? { lectureId, courseSlug: status.context.courseSlug, time: status.time, duration: status.duration }
+		: null;
+
+	if (pendingZoneAdd) {
+		pendingZoneAdd = false;
+		addZoneAtCurrentTime();
+	} else if (changed) {
+		renderZonesPanel();
+	}
+}
+
+// ============ Rendering ============
+
+async function renderZonesPanel() {
+	const editor = document.getElementById('zonesEditor');
+	const message = document.getElementById('zonesContext');
+
+	editor.hidden = !zoneContext;
+	message.hidden = Boolean(zoneContext);
+	if (!zoneContext) return;
+
+	const data = await loadZones();
+	const rule = normalizeCourseRule(data.courses[zoneContext.courseSlug]);
+	currentZones = data.lectures[zoneContext.lectureId] || [];
+
+	document.getElementById('zonesCourse').textContent = zoneContext.courseSlug;
+	document.getElementById('introSkip').value = rule.introSkip;
+	document.getElementById('outroSkip').value = rule.outroSkip;
+	renderZoneList();
+}
+
+function renderZoneList() {
+	const list = document.getElementById('zoneList');
+
+	if (currentZones.length === 0) {
+		const empty = document.createElement('li');
+		empty.className = 'stats-empty';
+		empty.textContent = 'No zones in this lecture yet.';
+		list.replaceChildren(empty);
+		return;
+	}
+
+	list.replaceChildren(...currentZones.map((zone, index) => {
+		const row = document.createElement('li');
+		row.className = 'preset-row zone-row';
+		row.dataset.index = index;
+
+		const start = createZoneInput('zone-start', formatTimestamp(zone.start), `Zone ${index + 1} start`);
+		const end = createZoneInput('zone-end', formatTimestamp(zone.end), `Zone ${index + 1} end`);
+
+		const action = document.createElement('select');
+		action.className = 'zone-action';
+		action.setAttribute('aria-label', `Zone ${index + 1} action`);
+		for (const [value, text] of [['skip', 'Skip'], ['rate', 'Speed']]) {
+			const option = document.createElement('option');
+			option.value = value;
+			option.textContent = text;
+			action.append(option);
+		}
+		action.value = zone.action;
+
+		const rate = document.createElement('input');
+		rate.type = 'number';
+		rate.className = 'preset-rate zone-rate';
+		rate.min = currentConfig.minRate;
+		rate.max = currentConfig.maxRate;
+		rate.step = 0.05;
+		rate.value = zone.rate;
+		rate.hidden = zone.action !== 'rate';
+		rate.setAttribute('aria-label', `Zone ${index + 1} speed`);
+
+		row.append(start, '–', end, action, rate, createIconButton('remove', '×', 'Remove', false));
+		return row;
+	}));
+}
+
+function createZoneInput(className, value, label) {
+	const input = document.createElement('input');
+	input.type = 'text';
+	input.className = className;
+	input.value = value;
+	input.placeholder = 'm:ss';
+	input.setAttribute('aria-label', label);
+	return input;
+}
+
+// ============ Editing ============
+
+async function updateZones(zones) {
+	currentZones = await saveLectureZones(zoneContext.lectureId, zones);
+	renderZoneList();
+}
+
+/**
+ * Add a zone starting where the lecture is now (clamped to its length)
+ */
+function addZoneAtCurrentTime() {
+	if (!zoneContext) return;
+
+	const { time, duration } = zoneContext;
+	const start = Math.floor(time || 0);
+	const end = duration ? Math.min(duration, start + NEW_ZONE_SECONDS) : start + NEW_ZONE_SECONDS;
+	if (end <= start) return;
+
+	updateZones([...currentZones, { start, end, action: 'skip', rate: currentConfig.defaultRate }]);
+}
+
+/**
+ * Read a zone row back, or null if its times are invalid
+ */
+function readZoneRow(row) {
+	const zone = { ...currentZones[parseInt(row.dataset.index)] };
+	const start = parseTimestamp(row.querySelector('.zone-start').value);
+	const end = parseTimestamp(row.querySelector('.zone-end').value);
+	const rate = parseFloat(row.querySelector('.zone-rate').value);
+
+	if (start === null || end === null || end <= start) return null;
+
+	zone.start = start;
+	zone.end = end;
+	zone.action = row.querySelector('.zone-action').value;
+	if (Number.isFinite(rate)) {
+		zone.rate = Math.max(currentConfig.minRate, Math.min(currentConfig.maxRate, rate));
+	}
+	return zone;
+}
+
+/**
+ * Setup the zones panel (call once the popup DOM is ready)
+ */
+function setupZones() {
+	const section = document.getElementById('zonesSection');
+	const list = document.getElementById('zoneList');
+
+	document.getElementById('zonesToggle').addEventListener('click', () => {
+		section.classList.toggle('collapsed');
+		if (!section.classList.contains('collapsed')) renderZonesPanel();
+	});
+
+	list.addEventListener('change', (e) => {
+		const row = e.target.closest('.zone-row');
+		const index = parseInt(row.dataset.index);
+		const zone = readZoneRow(row);
+
+		if (!zone) {
+			renderZoneList();
+			return;
+		}
+
+		const zones = [...currentZones];
+		zones[index] = zone;
+		updateZones(zones);
+	});
+
+	list.addEventListener('click', (e) => {
+		const btn = e.target.closest('.icon-btn');
+		if (!btn) return;
+
+		const index = parseInt(btn.closest('.zone-row').dataset.index);
+		updateZones(currentZones.filter((zone, i) => i !== index));
+	});
+
+	// Ask the tab for its current time first - the last status may be stale
+	document.getElementById('addZone').addEventListener('click', () => {
+		pendingZoneAdd = true;
+		postToBackground({ type: 'GET_STATUS' });
+	});
+
+	for (const key of ['introSkip', 'outroSkip']) {
+		document.getElementById(key).addEventListener('change', async () => {
+			if (!zoneContext) return;
+			const rule = await saveCourseRule(zoneContext.courseSlug, {
+				introSkip: parseFloat(document.getElementById('introSkip').value),
+				outroSkip: parseFloat(document.getElementById('outroSkip').value)
+			});
+			document.getElementById('introSkip').value = rule.introSkip;
+			document.getElementById('outroSkip').value = rule.outroSkip;
+		});
+	}
+}
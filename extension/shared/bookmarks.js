@@ -0,0 +1,128 @@
+/**
+ * Udemy Superlearner - Bookmarks
+ * Timestamped lecture bookmarks, shared by the content script (capture)
+ * and the popup (list, navigation and export)
+ *
+ * Stored in chrome.storage.local, grouped by course:
+ * { [courseSlug]: { title, origin, items: [{ id, lectureId, lectureTitle, url, time, note, createdAt }] } }
+ */
+
+const BOOKMARKS_KEY = 'udemy_bookmarks';
+const BOOKMARKS_EXPORT_FORMAT = 'udemy-superlearner-bookmarks';
+
+/**
+ * Format a media time, e.g. "4:05" or "1:02:09"
+ */
+function formatTimestamp(seconds) {
+	const total = Math.floor(seconds);
+	const h = Math.floor(total / 3600);
+	const m = Math.floor((total % 3600) / 60);
+	const s = String(total % 60).padStart(2, '0');
+	return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// ============ Storage ============
+
+async function loadBookmarks() {
+	const data = await storageGet({ [BOOKMARKS_KEY]: {} });
+	return data[BOOKMARKS_KEY];
+}
+
+function saveBookmarks(bookmarks) {
+	return storageSet({ [BOOKMARKS_KEY]: bookmarks });
+}
+
+/**
+ * Add a bookmark to a course, creating the course entry on first use
+ */
+async function addBookmark({ courseSlug, courseTitle, origin, ...bookmark }) {
+	const bookmarks = await loadBookmarks();
+	const course = bookmarks[courseSlug] || { title: courseTitle, origin, items: [] };
+	const item = {
+		id: `${Date.now()}-${bookmark.lectureId}`,
+		createdAt: Date.now(),
+		...bookmark
+	};
+
+	bookmarks[courseSlug] = {
+		...course,
+		title: courseTitle || course.title,
+		items: [...course.items, item]
+	};
+	await saveBookmarks(bookmarks);
+	return item;
+}
+
+async function removeBookmark(courseSlug, id) {
+	const bookmarks = await loadBookmarks();
+	const course = bookmarks[courseSlug];
+	if (!course) return bookmarks;
+
+	const items = course.items.filter(item => item.id !== id);
+	if (items.length > 0) {
+		bookmarks[courseSlug] = { ...course, items };
+	} else {
+		delete bookmarks[courseSlug];
+	}
+	await saveBookmarks(bookmarks);
+	return bookmarks;
+}
+
+/**
+ * Bookmarks keep the page URL; older ones were Udemy-only
+ */
+function getLectureUrl(course, courseSlug, { lectureId, url }) {
+	return url || `${course.origin || 'https://www.udemy.com'}/course/${courseSlug}/learn/lecture/${lectureId}`;
+}
+
+// ============ Export ============
+
+/**
+ * Group a course's bookmarks by lecture (in the order lectures were first
+ * bookmarked), sorted by time within each lecture
+ */
+function groupBookmarksByLecture(course) {
+	const lectures = new Map();
+	for (const item of course.items) {
+		if (!lectures.has(item.lectureId)) {
+			lectures.set(item.lectureId, { lectureId: item.lectureId, title: item.lectureTitle, url: item.url, items: [] });
+		}
+		lectures.get(item.lectureId).items.push(item);
+	}
+
+	return [...lectures.values()].map(lecture => ({
+		...lecture,
+		items: lecture.items.sort((a, b) => a.time - b.time)
+	}));
+}
+
+function bookmarksToMarkdown(courseSlug, course) {
+	const lines = [
+		`# ${course.title || courseSlug}`,
+		'',
+		`_Exported from Udemy Superlearner on ${new Date().toLocaleDateString('en-CA')}_`
+	];
+
+	for (const lecture of groupBookmarksByLecture(course)) {
+		const url = getLectureUrl(course, courseSlug, lecture);
+		lines.push('', `## [${lecture.title || `Lecture ${lecture.lectureId}`}](${url})`, '');
+		for (const item of lecture.items) {
+			const note = item.note ? ` ${item.note.replace(/\s*\n\s*/g, ' ')}` : '';
+			lines.push(`- **${formatTimestamp(item.time)}**${note}`);
+		}
+	}
+
+	return `${lines.join('\n')}\n`;
+}
+
+function bookmarksToJson(courseSlug, course) {
+	return JSON.stringify({
+		format: BOOKMARKS_EXPORT_FORMAT,
+		exportedAt: new Date().toISOString(),
+		course: { slug: courseSlug, title: course.title },
+		lectures: groupBookmarksByLecture(course).map(lecture => ({
+			...lecture,
+			url: getLectureUrl(course, courseSlug, lecture)
+		}))
+	}, null, '\t');
+}
@@ -0,0 +1,154 @@
+/**
+ * Udemy Superlearner - Keybindings
+ * Declarative action → key chord table, shared by the content script
+ * (dispatch) and the popup (binding editor)
+ *
+ * Chords are written as modifiers in a fixed order followed by the
+ * KeyboardEvent.code, e.g. "Ctrl+Shift+ArrowRight" or "Shift+Digit1"
+ */
+
+const KEYBINDING_ACTIONS = [
+	{ id: 'fineUp', label: 'Fine increase' },
+	{ id: 'fineDown', label: 'Fine decrease' },
+	{ id: 'coarseUp', label: 'Coarse increase' },
+	{ id: 'coarseDown', label: 'Coarse decrease' },
+	{ id: 'reset', label: 'Reset to default' },
+	{ id: 'toggle', label: 'Toggle default / last speed' },
+	{ id: 'bookmark', label: 'Bookmark moment' },
+	{ id: 'replay', label: 'Replay last sentence slower' },
+	...[1, 2, 3, 4, 5, 6, 7, 8, 9].map(n => ({ id: `preset${n}`, label: `Preset ${n}` }))
+];
+
+const DEFAULT_KEYBINDINGS = {
+	fineUp: 'Shift+ArrowRight',
+	fineDown: 'Shift+ArrowLeft',
+	coarseUp: 'Ctrl+Shift+ArrowRight',
+	coarseDown: 'Ctrl+Shift+ArrowLeft',
+	reset: 'Shift+Digit0',
+	toggle: 'Shift+KeyR',
+	bookmark: 'Shift+KeyB',
+	replay: 'Shift+KeyZ',
+	preset1: 'Shift+Digit1',
+	preset2: 'Shift+Digit2',
+	preset3: 'Shift+Digit3',
+	preset4: 'Shift+Digit4',
+	preset5: 'Shift+Digit5',
+	preset6: 'Shift+Digit6',
+	preset7: 'Shift+Digit7',
+	preset8: 'Shift+Digit8',
+	preset9: 'Shift+Digit9'
+};
+
+/**
+ * Shortcuts handled by Udemy's own player
+ * Binding one of these means ours wins (we listen in the capture phase).
+ * Udemy's Shift+Arrow speed steps are left out on purpose - replacing
+ * them with finer steps is the point of the default bindings.
+ */
+const UDEMY_PLAYER_SHORTCUTS = {
+	'Space': 'Play / pause',
+	'ArrowLeft': 'Rewind 5 seconds',
+	'ArrowRight': 'Forward 5 seconds',
+	'ArrowUp': 'Volume up',
+	'ArrowDown': 'Volume down',
+	'KeyM': 'Mute',
+	'KeyF': 'Fullscreen',
+	'KeyB': 'Add note',
+	'KeyC': 'Captions',
+	'Escape': 'Exit fullscreen',
+	'Shift+Slash': 'Show shortcuts'
+};
+
+const MODIFIER_CODES = [
+	'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+	'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight'
+];
+
+/**
+ * Build a chord string from a keydown event
+ * Returns null while only modifiers are held
+ */
+function chordFromEvent(event) {
+	if (MODIFIER_CODES.includes(event.code)) return null;
+
+	const parts = [];
+	if (event.ctrlKey) parts.push('Ctrl');
+	if (event.altKey) parts.push('Alt');
+	if (event.shiftKey) parts.push('Shift');
+	if (event.metaKey) parts.push('Meta');
+	parts.push(event.code);
+
+	return parts.join('+');
+}
+
+/**
+ * Human-readable chord, e.g. "Ctrl + Shift + →"
+ */
+function formatChord(chord) {
+	if (!chord) return '—';
+
+	const keyNames = {
+		ArrowLeft: '←',
+		ArrowRight: '→',
+		ArrowUp: '↑',
+		ArrowDown: '↓',
+		Space: 'Space',
+		Slash: '/',
+		Comma: ',',
+		Period: '.',
+		Minus: '-',
+		Equal: '='
+	};
+
+	return chord.split('+').map(part => {
+		if (keyNames[part]) return keyNames[part];
+		return part.replace(/^(Key|Digit|Numpad)/, '');
+	}).join(' + ');
+}
+
+/**
+ * Display text for the shortcut of the preset at a (0-based) position,
+ * null when it has none
+ */
+function formatPresetChord(bindings, index) {
+	const chord = index < 9 ? bindings[`preset${index + 1}`] : null;
+	return chord ? formatChord(chord) : null;
+}
+
+/**
+ * Build a chord → action lookup table
+ */
+function buildKeyMap(bindings) {
+	const keyMap = new Map();
+	for (const [action, chord] of Object.entries(bindings)) {
+		if (chord && !keyMap.has(chord)) {
+			keyMap.set(chord, action);
+		}
+	}
+	return keyMap;
+}
+
+/**
+ * Find duplicate chords and clashes with Udemy's player shortcuts
+ */
+function findBindingConflicts(bindings) {
+	const conflicts = [];
+	const seen = new Map();
+
+	for (const { id } of KEYBINDING_ACTIONS) {
+		const chord = bindings[id];
+		if (!chord) continue;
+
+		if (seen.has(chord)) {
+			conflicts.push({ type: 'duplicate', chord, actions: [seen.get(chord), id] });
+		} else {
+			seen.set(chord, id);
+		}
+
+		if (UDEMY_PLAYER_SHORTCUTS[chord]) {
+			conflicts.push({ type: 'udemy', chord, actions: [id], udemyAction: UDEMY_PLAYER_SHORTCUTS[chord] });
+		}
+	}
+
+	return conflicts;
+}
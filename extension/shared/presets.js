@@ -0,0 +1,35 @@
+/**
+ * Udemy Superlearner - Presets
+ * User-managed preset list, shared by the popup grid and the
+ * preset1..preset9 keyboard actions (same order in both)
+ */
+
+const MAX_PRESETS = 12;
+
+const DEFAULT_PRESETS = [
+	{ rate: 0.75, label: '' },
+	{ rate: 1.0, label: '' },
+	{ rate: 1.25, label: '' },
+	{ rate: 1.5, label: '' },
+	{ rate: 1.75, label: '' },
+	{ rate: 2.0, label: '' },
+	{ rate: 2.5, label: '' },
+	{ rate: 3.0, label: '' }
+];
+
+/**
+ * Accept both the current { rate, label } objects and the legacy
+ * plain-number array, dropping anything that isn't a usable rate
+ */
+function normalizePresets(presets) {
+	if (!Array.isArray(presets)) return DEFAULT_PRESETS.map(p => ({ ...p }));
+
+	return presets
+		.map(preset => typeof preset === 'number' ? { rate: preset, label: '' } : preset)
+		.filter(preset => preset && Number.isFinite(preset.rate) && preset.rate > 0)
+		.slice(0, MAX_PRESETS)
+		.map(({ rate, label }) => ({
+			rate: Math.round(rate * 100) / 100,
+			label: typeof label === 'string' ? label.trim() : ''
+		}));
+}
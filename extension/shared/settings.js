@@ -0,0 +1,292 @@
+/**
+ * Udemy Superlearner - Settings
+ * Single source of truth for user settings, shared by the content script,
+ * popup, options page and service worker
+ *
+ * Settings live in one versioned chrome.storage.sync key. Older layouts
+ * are migrated on read, and everything is validated and clamped before
+ * it's used or saved. Requires shared/keybindings.js, shared/presets.js
+ * and shared/storage.js.
+ */
+
+const SETTINGS_VERSION = 2;
+const SETTINGS_KEY = 'udemy_settings';
+const SETTINGS_EXPORT_FORMAT = 'udemy-superlearner-settings';
+
+// Version 1 kept each part in its own key
+const LEGACY_SETTINGS_KEYS = ['udemy_config', 'udemy_presets', 'udemy_keybindings'];
+
+// Speed toast placement, size and color scheme
+const TOAST_POSITIONS = ['top-left', 'top-center', 'top-right', 'center', 'bottom-left', 'bottom-center', 'bottom-right'];
+const TOAST_SIZES = ['small', 'medium', 'large'];
+const TOAST_THEMES = ['dark', 'light', 'auto'];
+
+const DEFAULT_CONFIG = {
+	minRate: 0.5,
+	maxRate: 3.0,
+	fineIncrement: 0.05,
+	coarseIncrement: 0.25,
+	defaultRate: 1.0,
+	decimals: 2,
+	silenceSkipEnabled: false,
+	silenceThreshold: -50,
+	silenceMinDuration: 0.5,
+	silenceSpeed: 2.5,
+	wpmEnabled: false,
+	targetWpm: 260,
+	wpmWindow: 60,
+	trainingEnabled: false,
+	trainingStartRate: 1.3,
+	trainingCeiling: 1.8,
+	trainingStep: 0.05,
+	trainingInterval: 5,
+	replayRate: 1.2,
+	replayFallbackSeconds: 5,
+	focusPauseOnHidden: false,
+	focusPauseOnBlur: false,
+	focusPauseOnIdle: false,
+	focusIdleSeconds: 300,
+	focusRewindSeconds: 3,
+	wheelEnabled: false,
+	toastEnabled: true,
+	toastPosition: 'center',
+	toastDuration: 1,
+	toastSize: 'medium',
+	toastTheme: 'dark',
+	toastShowTimeLeft: false,
+	toastShowLevel: false,
+	syncTabs: true
+};
+
+// Type and range (or allowed values) for every config field
+// (HTML media supports 0.0625x-16x)
+const CONFIG_SCHEMA = {
+	minRate: { type: 'number', min: 0.0625, max: 16 },
+	maxRate: { type: 'number', min: 0.0625, max: 16 },
+	fineIncrement: { type: 'number', min: 0.01, max: 1 },
+	coarseIncrement: { type: 'number', min: 0.01, max: 4 },
+	defaultRate: { type: 'number', min: 0.0625, max: 16 },
+	decimals: { type: 'number', min: 1, max: 2 },
+	silenceSkipEnabled: { type: 'boolean' },
+	silenceThreshold: { type: 'number', min: -90, max: -10 },
+	silenceMinDuration: { type: 'number', min: 0.1, max: 10 },
+	silenceSpeed: { type: 'number', min: 1, max: 16 },
+	wpmEnabled: { type: 'boolean' },
+	targetWpm: { type: 'number', min: 80, max: 600 },
+	wpmWindow: { type: 'number', min: 15, max: 300 },
+	trainingEnabled: { type: 'boolean' },
+	trainingStartRate: { type: 'number', min: 0.5, max: 16 },
+	trainingCeiling: { type: 'number', min: 0.5, max: 16 },
+	trainingStep: { type: 'number', min: 0.01, max: 0.5 },
+	trainingInterval: { type: 'number', min: 1, max: 60 },
+	replayRate: { type: 'number', min: 0.25, max: 4 },
+	replayFallbackSeconds: { type: 'number', min: 1, max: 30 },
+	focusPauseOnHidden: { type: 'boolean' },
+	focusPauseOnBlur: { type: 'boolean' },
+	focusPauseOnIdle: { type: 'boolean' },
+	focusIdleSeconds: { type: 'number', min: 15, max: 3600 },
+	focusRewindSeconds: { type: 'number', min: 0, max: 30 },
+	wheelEnabled: { type: 'boolean' },
+	toastEnabled: { type: 'boolean' },
+	toastPosition: { type: 'string', values: TOAST_POSITIONS },
+	toastDuration: { type: 'number', min: 0.5, max: 10 },
+	toastSize: { type: 'string', values: TOAST_SIZES },
+	toastTheme: { type: 'string', values: TOAST_THEMES },
+	toastShowTimeLeft: { type: 'boolean' },
+	toastShowLevel: { type: 'boolean' },
+	syncTabs: { type: 'boolean' }
+};
+
+function getDefaultSettings() {
+	return {
+		version: SETTINGS_VERSION,
+		config: { ...DEFAULT_CONFIG },
+		presets: normalizePresets(DEFAULT_PRESETS),
+		keybindings: { ...DEFAULT_KEYBINDINGS }
+	};
+}
+
+// ============ Validation ============
+
+/**
+ * Clamp every config field into range, falling back to defaults
+ * Returns the clean config and a warning per field that was changed
+ */
+function validateConfig(config = {}) {
+	const clean = {};
+	const warnings = [];
+
+	for (const [key, rule] of Object.entries(CONFIG_SCHEMA)) {
+		const value = config[key];
+
+		if (value === undefined) {
+			clean[key] = DEFAULT_CONFIG[key];
+		} else if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+			clean[key] = DEFAULT_CONFIG[key];
+			warnings.push(`${key} was not a valid ${rule.type}, reset to ${DEFAULT_CONFIG[key]}`);
+		} else if (rule.values && !rule.values.includes(value)) {
+			clean[key] = DEFAULT_CONFIG[key];
+			warnings.push(`${key} "${value}" is not one of ${rule.values.join(', ')}, reset to ${DEFAULT_CONFIG[key]}`);
+		} else if (rule.type === 'number' && (value < rule.min || value > rule.max)) {
+			clean[key] = Math.max(rule.min, Math.min(rule.max, value));
+			warnings.push(`${key} ${value} is outside ${rule.min}-${rule.max}, clamped to ${clean[key]}`);
+		} else {
+			clean[key] = value;
+		}
+	}
+
+	if (clean.minRate >= clean.maxRate) {
+		warnings.push(`minRate ${clean.minRate} must be below maxRate ${clean.maxRate}, both reset`);
+		clean.minRate = DEFAULT_CONFIG.minRate;
+		clean.maxRate = DEFAULT_CONFIG.maxRate;
+	}
+
+	const clampedDefault = Math.max(clean.minRate, Math.min(clean.maxRate, clean.defaultRate));
+	if (clampedDefault !== clean.defaultRate) {
+		warnings.push(`defaultRate ${clean.defaultRate} is outside the speed range, clamped to ${clampedDefault}`);
+		clean.defaultRate = clampedDefault;
+	}
+
+	if (clean.trainingStartRate > clean.trainingCeiling) {
+		warnings.push(`trainingStartRate ${clean.trainingStartRate} is above trainingCeiling ${clean.trainingCeiling}, both reset`);
+		clean.trainingStartRate = DEFAULT_CONFIG.trainingStartRate;
+		clean.trainingCeiling = DEFAULT_CONFIG.trainingCeiling;
+	}
+
+	return { config: clean, warnings };
+}
+
+/**
+ * Keep only known actions bound to chord strings (null = unbound)
+ */
+function validateKeybindings(bindings = {}) {
+	const clean = { ...DEFAULT_KEYBINDINGS };
+	const warnings = [];
+
+	for (const [action, chord] of Object.entries(bindings || {})) {
+		if (!(action in DEFAULT_KEYBINDINGS)) {
+			warnings.push(`Unknown shortcut action "${action}" ignored`);
+		} else if (chord === null || typeof chord === 'string') {
+			clean[action] = chord;
+		} else {
+			warnings.push(`Shortcut for "${action}" is invalid, reset to default`);
+		}
+	}
+
+	return { keybindings: clean, warnings };
+}
+
+function validateSettings(raw = {}) {
+	const { config, warnings: configWarnings } = validateConfig(raw.config);
+	const { keybindings, warnings: bindingWarnings } = validateKeybindings(raw.keybindings);
+	const presets = normalizePresets(raw.presets);
+	const presetWarnings = Array.isArray(raw.presets) && presets.length !== raw.presets.length
+		? [`${raw.presets.length - presets.length} invalid or extra presets dropped`]
+		: [];
+
+	return {
+		settings: { version: SETTINGS_VERSION, config, presets, keybindings },
+		warnings: [...configWarnings, ...bindingWarnings, ...presetWarnings]
+	};
+}
+
+// ============ Migrations ============
+
+// MIGRATIONS[n] upgrades a version n settings object to version n + 1
+const MIGRATIONS = {
+	// v1 → v2: separate keys merged into one settings object, presets
+	// changed from plain numbers to { rate, label }
+	1: (settings) => ({
+		config: settings.config,
+		presets: normalizePresets(settings.presets),
+		keybindings: settings.keybindings
+	})
+};
+
+function migrateSettingsObject(raw) {
+	let current = { ...raw, version: raw.version || 1 };
+
+	if (current.version > SETTINGS_VERSION) {
+		throw new Error(`Settings version ${current.version} is newer than this extension supports (${SETTINGS_VERSION})`);
+	}
+
+	while (current.version < SETTINGS_VERSION) {
+		current = { ...MIGRATIONS[current.version](current), version: current.version + 1 };
+	}
+	return current;
+}
+
+/**
+ * Move settings from the legacy keys (or an older settings object)
+ * into the current layout and remove the legacy keys
+ */
+async function migrateSettings(data) {
+	const raw = data[SETTINGS_KEY] || {
+		version: 1,
+		config: data.udemy_config,
+		presets: data.udemy_presets,
+		keybindings: data.udemy_keybindings
+	};
+
+	if (raw.version > SETTINGS_VERSION) {
+		// Written by a newer version (maybe on another synced device) - use
+		// what we can understand, but never write that back over it
+		return validateSettings(raw).settings;
+	}
+
+	const settings = validateSettings(migrateSettingsObject(raw)).settings;
+	await storageSet({ [SETTINGS_KEY]: settings }, { immediate: true });
+	await storageRemove(LEGACY_SETTINGS_KEYS, { immediate: true });
+	return settings;
+}
+
+// ============ Storage ============
+
+async function loadSettings() {
+	const data = await storageGet([SETTINGS_KEY, ...LEGACY_SETTINGS_KEYS]);
+
+	if (data[SETTINGS_KEY]?.version === SETTINGS_VERSION) {
+		return validateSettings(data[SETTINGS_KEY]).settings;
+	}
+	return migrateSettings(data);
+}
+
+/**
+ * Merge changes ({ config }, { presets } and/or { keybindings }) into
+ * the stored settings, validating the result
+ */
+async function saveSettings(changes) {
+	const current = await loadSettings();
+	const result = validateSettings({ ...current, ...changes });
+	await storageSet({ [SETTINGS_KEY]: result.settings }, { immediate: true });
+	return result;
+}
+
+// ============ Import / Export ============
+
+function exportSettings(settings) {
+	return JSON.stringify({
+		format: SETTINGS_EXPORT_FORMAT,
+		exportedAt: new Date().toISOString(),
+		...settings
+	}, null, '\t');
+}
+
+/**
+ * Parse an exported settings file
+ * Throws with a user-facing message if it can't be used at all
+ */
+function parseSettingsImport(text) {
+	let data;
+	try {
+		data = JSON.parse(text);
+	} catch (e) {
+		throw new Error('The file is not valid JSON');
+	}
+
+	if (data?.format !== SETTINGS_EXPORT_FORMAT) {
+		throw new Error('The file is not a Superlearner settings export');
+	}
+
+	return validateSettings(migrateSettingsObject(data));
+}
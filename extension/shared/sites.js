@@ -0,0 +1,37 @@
+/**
+ * Udemy Superlearner - Sites
+ * Sites beyond udemy.com that can be enabled at runtime through optional
+ * host permissions. Shared by the popup (toggles) and the service worker
+ * (content script registration). Page handling is in content/sites/.
+ */
+
+const OPTIONAL_SITES = [
+	{ id: 'coursera', name: 'Coursera', origins: ['https://www.coursera.org/*'] },
+	{ id: 'linkedin', name: 'LinkedIn Learning', origins: ['https://www.linkedin.com/*'] }
+];
+
+/**
+ * Match pattern for a company domain typed by the user
+ * Accepts "learn.example.com" or a full URL, returns null if invalid
+ */
+function getDomainPattern(input) {
+	const text = input.trim();
+	if (!text) return null;
+
+	try {
+		const { protocol, hostname } = new URL(text.includes('://') ? text : `https://${text}`);
+		if (protocol !== 'https:' || !hostname.includes('.')) return null;
+		return `https://${hostname}/*`;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Granted origins that aren't one of the built-in or optional sites,
+ * i.e. custom Udemy Business domains
+ */
+function getCustomDomainPatterns(origins, builtInPatterns) {
+	const known = new Set([...builtInPatterns, ...OPTIONAL_SITES.flatMap(site => site.origins)]);
+	return origins.filter(origin => !known.has(origin));
+}
@@ -0,0 +1,262 @@
+/**
+ * Udemy Superlearner - Storage
+ * Batched chrome.storage access, shared by every context
+ *
+ * - Writes are kept in memory and flushed after a short debounce, so
+ *   holding a speed key makes one write instead of dozens. Writes to the
+ *   same key coalesce (last value wins), and reads see unflushed values.
+ * - Each key lives in one area: small preferences in sync (which has
+ *   per-minute and per-hour write quotas), history and per-course or
+ *   per-lecture data in local (STORAGE_SYNC_KEYS lists the sync ones)
+ * - Failed writes are retried with backoff. onStorageError() listeners
+ *   hear about the first failure and the recovery, so the user sees a
+ *   notice instead of settings being lost silently.
+ * - A value too big for the area (item or total size quota) will never
+ *   fit, so it's dropped and reported instead of retried. When a batch
+ *   fails on size, its keys are written one by one so one bad key can't
+ *   hold back the others.
+ *
+ * Promises from storageSet/storageRemove resolve once the value is written.
+ */
+
+// Small, fixed-size values only: a synced item is limited to 8 KB, so
+// anything keyed by course or lecture belongs in local
+const STORAGE_SYNC_KEYS = [
+	'udemy_settings',
+	'udemy_config',
+	'udemy_presets',
+	'udemy_keybindings',
+	'udemy_playback_rate',
+	'udemy_profiles', // legacy, read for migration only
+	'udemy_audio'
+];
+
+const STORAGE_DEBOUNCE_MS = { sync: 1000, local: 250 };
+const STORAGE_MAX_WAIT_MS = 5000; // flush even while writes keep coming
+const STORAGE_RETRY_MS = 2000;
+const STORAGE_MAX_RETRY_MS = 60000;
+
+const STORAGE_REMOVED = Symbol('removed');
+
+const storageQueues = {
+	sync: createStorageQueue(),
+	local: createStorageQueue()
+};
+
+const storageErrorListeners = [];
+
+function createStorageQueue() {
+	return {
+		pending: new Map(),
+		waiters: [],
+		timer: null,
+		firstAt: 0,
+		retries: 0,
+		flushing: Promise.resolve()
+	};
+}
+
+function getStorageArea(key) {
+	return STORAGE_SYNC_KEYS.includes(key) ? 'sync' : 'local';
+}
+
+// Size limits - unlike the write-rate quotas, waiting doesn't help
+const STORAGE_PERMANENT_ERROR = /QUOTA_BYTES|MAX_ITEMS/;
+
+/**
+ * Subscribe to write failures ({ ok: false, area, message, quota, retryIn }),
+ * dropped values ({ ok: false, area, message, quota, permanent: true, keys })
+ * and recoveries ({ ok: true, area })
+ */
+function onStorageError(callback) {
+	storageErrorListeners.push(callback);
+}
+
+/**
+ * User-facing text for a storage notice
+ */
+function formatStorageNotice({ area, quota, retryIn, permanent }) {
+	const what = area === 'sync' ? 'your settings' : 'your data';
+	const reason = quota ? 'Chrome\'s storage limit was reached' : 'Chrome storage failed';
+	if (permanent) return `Couldn't save ${what} (${reason}). Some changes were too large to keep.`;
+	return `Couldn't save ${what} (${reason}). Retrying in ${Math.round(retryIn / 1000)}s - keep this page open.`;
+}
+
+// ============ Reads ============
+
+/**
+ * Like chrome.storage.get, but across both areas and including unflushed
+ * writes. Takes an array of keys or an object of defaults.
+ */
+async function storageGet(keys) {
+	const defaults = Array.isArray(keys) ? {} : keys;
+	const names = Array.isArray(keys) ? keys : Object.keys(keys);
+	const result = {};
+
+	await Promise.all(['sync', 'local'].map(async (area) => {
+		const areaKeys = names.filter(key => getStorageArea(key) === area);
+		if (areaKeys.length > 0) Object.assign(result, await chrome.storage[area].get(areaKeys));
+	}));
+
+	for (const key of names) {
+		const { pending } = storageQueues[getStorageArea(key)];
+		if (pending.has(key)) result[key] = pending.get(key);
+		if (result[key] === STORAGE_REMOVED || result[key] === undefined) {
+			delete result[key];
+			if (key in defaults) result[key] = defaults[key];
+		}
+	}
+	return result;
+}
+
+// ============ Writes ============
+
+function queueStorageWrite(entries, { immediate = false } = {}) {
+	const areas = new Set();
+	for (const [key, value] of entries) {
+		const area = getStorageArea(key);
+		storageQueues[area].pending.set(key, value);
+		areas.add(area);
+	}
+	return Promise.all([...areas].map(area => scheduleStorageFlush(area, immediate ? 0 : STORAGE_DEBOUNCE_MS[area])));
+}
+
+/**
+ * Queue values for writing; { immediate: true } skips the debounce
+ */
+function storageSet(items, options) {
+	return queueStorageWrite(Object.entries(items), options);
+}
+
+function storageRemove(keys, options) {
+	return queueStorageWrite([].concat(keys).map(key => [key, STORAGE_REMOVED]), options);
+}
+
+function scheduleStorageFlush(area, delay) {
+	const queue = storageQueues[area];
+	const done = new Promise(resolve => queue.waiters.push(resolve));
+
+	// A retry is already scheduled - the new values go with it
+	if (queue.retries > 0) return done;
+
+	const now = Date.now();
+	queue.firstAt ||= now;
+	clearTimeout(queue.timer);
+	queue.timer = setTimeout(() => flushStorageArea(area), Math.min(delay, queue.firstAt + STORAGE_MAX_WAIT_MS - now));
+	return done;
+}
+
+/**
+ * Write everything pending in an area; flushes never overlap
+ */
+function flushStorageArea(area) {
+	const queue = storageQueues[area];
+	clearTimeout(queue.timer);
+	queue.timer = null;
+	queue.flushing = queue.flushing.then(() => writeStorageBatch(area));
+	return queue.flushing;
+}
+
+/**
+ * Write entries in one call per operation (set, then remove)
+ */
+async function writeStorageEntries(area, entries) {
+	const items = {};
+	const removed = [];
+	for (const [key, value] of entries) {
+		if (value === STORAGE_REMOVED) {
+			removed.push(key);
+		} else {
+			items[key] = value;
+		}
+	}
+
+	if (Object.keys(items).length > 0) await chrome.storage[area].set(items);
+	if (removed.length > 0) await chrome.storage[area].remove(removed);
+}
+
+/**
+ * Entries that couldn't be written, each with its error
+ * Only a size error is narrowed down key by key - after a write-rate
+ * error, more writes would just use up the quota again
+ */
+async function findFailedEntries(area, entries) {
+	try {
+		await writeStorageEntries(area, entries);
+		return [];
+	} catch (e) {
+		if (entries.length === 1 || !STORAGE_PERMANENT_ERROR.test(e.message)) {
+			return entries.map(entry => ({ entry, error: e }));
+		}
+	}
+
+	const failed = [];
+	for (const entry of entries) {
+		try {
+			await writeStorageEntries(area, [entry]);
+		} catch (error) {
+			failed.push({ entry, error });
+		}
+	}
+	return failed;
+}
+
+async function writeStorageBatch(area) {
+	const queue = storageQueues[area];
+	const entries = [...queue.pending];
+	const waiters = queue.waiters;
+	queue.pending = new Map();
+	queue.waiters = [];
+	queue.firstAt = 0;
+
+	const failed = await findFailedEntries(area, entries);
+	const dropped = failed.filter(({ error }) => STORAGE_PERMANENT_ERROR.test(error.message));
+	const retry = failed.filter(failure => !dropped.includes(failure));
+
+	if (dropped.length > 0) {
+		const keys = dropped.map(({ entry }) => entry[0]);
+		notifyStorageListeners({ ok: false, area, message: dropped[0].error.message, quota: true, permanent: true, keys });
+	}
+
+	if (retry.length > 0) {
+		// Put the failed entries back, unless a newer value was queued meanwhile
+		for (const { entry: [key, value] } of retry) {
+			if (!queue.pending.has(key)) queue.pending.set(key, value);
+		}
+		queue.waiters = [...waiters, ...queue.waiters];
+		queue.retries += 1;
+
+		const { message } = retry[0].error;
+		const retryIn = Math.min(STORAGE_RETRY_MS * 2 ** (queue.retries - 1), STORAGE_MAX_RETRY_MS);
+		queue.timer = setTimeout(() => flushStorageArea(area), retryIn);
+		if (queue.retries === 1) {
+			notifyStorageListeners({ ok: false, area, message, quota: /quota/i.test(message), retryIn });
+		}
+		return;
+	}
+
+	if (queue.retries > 0) {
+		queue.retries = 0;
+		notifyStorageListeners({ ok: true, area });
+	}
+	waiters.forEach(resolve => resolve());
+}
+
+function notifyStorageListeners(event) {
+	for (const callback of storageErrorListeners) {
+		callback(event);
+	}
+}
+
+/**
+ * Write everything now, e.g. before the page goes away
+ */
+function flushStorage() {
+	for (const [area, queue] of Object.entries(storageQueues)) {
+		if (queue.pending.size > 0 && queue.retries === 0) flushStorageArea(area);
+	}
+}
+
+if (typeof window !== 'undefined') {
+	window.addEventListener('pagehide', flushStorage);
+}
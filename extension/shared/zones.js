@@ -0,0 +1,103 @@
+/**
+ * Udemy Superlearner - Speed Zones
+ * Time ranges of a lecture that are skipped or played at their own rate,
+ * plus course-wide intro/outro skipping. Shared by the content script
+ * (playback and progress-bar markers) and the popup (editor).
+ *
+ * Stored in chrome.storage.local:
+ * {
+ *   lectures: { [lectureId]: [{ id, start, end, action: 'skip' | 'rate', rate }] },
+ *   courses: { [courseSlug]: { introSkip, outroSkip } }  // seconds
+ * }
+ */
+
+const ZONES_KEY = 'udemy_zones';
+const ZONE_ACTIONS = ['skip', 'rate'];
+const MAX_COURSE_SKIP_SECONDS = 600;
+
+function getEmptyZones() {
+	return { lectures: {}, courses: {} };
+}
+
+/**
+ * Parse "75", "1:15" or "1:01:15" into seconds (null if invalid)
+ */
+function parseTimestamp(text) {
+	const parts = String(text).trim().split(':');
+	if (parts.length > 3 || parts.some(part => !/^\d+(\.\d+)?$/.test(part))) return null;
+	return parts.reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * Drop invalid zones and clamp the rest, sorted by start time
+ */
+function normalizeZones(zones) {
+	if (!Array.isArray(zones)) return [];
+
+	return zones
+		.filter(zone => Number.isFinite(zone?.start) && Number.isFinite(zone.end) && zone.end > zone.start)
+		.map(zone => ({
+			id: String(zone.id || `${Date.now()}-${zone.start}`),
+			start: Math.max(0, zone.start),
+			end: zone.end,
+			action: ZONE_ACTIONS.includes(zone.action) ? zone.action : 'skip',
+			rate: Math.max(0.0625, Math.min(16, Number(zone.rate) || 1))
+		}))
+		.sort((a, b) => a.start - b.start);
+}
+
+function normalizeCourseRule(rule = {}) {
+	const clamp = (value) => Math.max(0, Math.min(MAX_COURSE_SKIP_SECONDS, Number(value) || 0));
+	return { introSkip: clamp(rule.introSkip), outroSkip: clamp(rule.outroSkip) };
+}
+
+// ============ Storage ============
+
+async function loadZones() {
+	const data = await storageGet({ [ZONES_KEY]: getEmptyZones() });
+	return { ...getEmptyZones(), ...data[ZONES_KEY] };
+}
+
+async function saveLectureZones(lectureId, zones) {
+	const data = await loadZones();
+	const clean = normalizeZones(zones);
+
+	if (clean.length > 0) {
+		data.lectures[lectureId] = clean;
+	} else {
+		delete data.lectures[lectureId];
+	}
+	await storageSet({ [ZONES_KEY]: data });
+	return clean;
+}
+
+async function saveCourseRule(courseSlug, rule) {
+	const data = await loadZones();
+	const clean = normalizeCourseRule(rule);
+
+	if (clean.introSkip > 0 || clean.outroSkip > 0) {
+		data.courses[courseSlug] = clean;
+	} else {
+		delete data.courses[courseSlug];
+	}
+	await storageSet({ [ZONES_KEY]: data });
+	return clean;
+}
+
+/**
+ * Every zone that applies to a lecture: its own zones plus the course's
+ * intro/outro skip (the outro needs the duration)
+ */
+function getEffectiveZones(data, { lectureId, courseSlug }, duration) {
+	const zones = [...(data.lectures[lectureId] || [])];
+	const rule = normalizeCourseRule(data.courses[courseSlug]);
+
+	if (rule.introSkip > 0) {
+		zones.push({ id: 'intro', start: 0, end: rule.introSkip, action: 'skip', rate: 1 });
+	}
+	if (rule.outroSkip > 0 && Number.isFinite(duration) && duration > rule.outroSkip) {
+		zones.push({ id: 'outro', start: duration - rule.outroSkip, end: duration, action: 'skip', rate: 1 });
+	}
+
+	return zones.sort((a, b) => a.start - b.start);
+}